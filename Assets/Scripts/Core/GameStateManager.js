@@ -10,6 +10,7 @@
 
 var Constants = require("../Utils/Constants");
 var DialogueLines = require("../Utils/DialogueLines");
+var LevelPackLoader = require("../Levels/LevelPackLoader");
 
 /**
  * GameStateManager Component
@@ -23,9 +24,15 @@ var gameState = {
 	currentLevel: 1,
 	score: 0,
 	wrongSteps: 0,
+	lives: 1, // Wrong steps the current level takes before it fails
+	livesUsed: 0, // Lives lost this attempt
 	memorizeTimeRemaining: 0,
 	isFirstGame: true,
 	currentLevelRetried: false, // Track if current level was retried
+	seedHistory: [], // Seed used for every attempt: { level, attempt, seed }
+	growingPath: [], // Growing packs: the path so far, kept between rounds
+	growingRestarted: false, // Growing packs: the path couldn't grow this round and was replaced by a new one
+	onStartTile: false, // Growing packs: the round began with the player already on the start tile
 };
 
 // Timer references
@@ -43,6 +50,7 @@ var callbacks = {
 	onGameComplete: null,
 	onGameFailed: null,
 	onScoreUpdate: null,
+	onLivesUpdate: null, // Function(livesLeft, lives), at the start of a level and after each wrong step
 };
 
 // Module references
@@ -89,6 +97,10 @@ function initialize() {
 		PlayerTracker.onCorrectStep(handleCorrectStep);
 		PlayerTracker.onWrongStep(handleWrongStep);
 		PlayerTracker.onPathCompleted(handlePathCompleted);
+		PlayerTracker.onBonusCollected(handleBonusCollected);
+		PlayerTracker.onTilePending(handleTilePending);
+		PlayerTracker.onTilePendingCancelled(clearTilePending);
+		PlayerTracker.onTileConfirmed(clearTilePending);
 		PlayerTracker.onStartZoneEntered(handleStartZoneEntered);
 		PlayerTracker.onStartZoneExited(handleStartZoneExited);
 	}
@@ -124,6 +136,10 @@ function changeState(newState) {
 
 	print("Game: " + newState);
 
+	if (global.PathFinder && global.PathFinder.Recorder) {
+		global.PathFinder.Recorder.recordState(newState, gameState.previous, gameState.currentLevel);
+	}
+
 	// Handle state entry logic
 	handleStateEntry(newState);
 
@@ -162,6 +178,11 @@ function handleStateEntry(state) {
 			startWaitingInStartZone();
 			break;
 
+		case Constants.GameState.RETURNING_TO_START_TILE:
+			// Growing packs: player walks back onto the grid's start tile
+			startReturningToStartTile();
+			break;
+
 		case Constants.GameState.COUNTDOWN:
 			startCountdown();
 			break;
@@ -220,7 +241,7 @@ function resetGame() {
  */
 function startGridIntro() {
 	// Generate path first so we know where start tile is
-	setupLevel();
+	if (!setupLevel()) return;
 
 	// Show only the start tile brightly (grid already dimmed by GridManager.initialize)
 	if (GridManager) {
@@ -244,11 +265,11 @@ function startGridIntro() {
 				// Level 1: Welcome → Goal → Level 1 announcement → countdown
 				HostManager.playWelcomeSequence(function () {
 					gameState.isFirstGame = false;
-					HostManager.playLevelAnnouncement(gameState.currentLevel, proceedToCountdown);
+					HostManager.playLevelAnnouncement(gameState.currentLevel, proceedToCountdown, getLevelConfig(gameState.currentLevel).modifiers);
 				});
 			} else {
 				// Level 2+: level announcement → countdown
-				HostManager.playLevelAnnouncement(gameState.currentLevel, proceedToCountdown);
+				HostManager.playLevelAnnouncement(gameState.currentLevel, proceedToCountdown, getLevelConfig(gameState.currentLevel).modifiers);
 			}
 		} else {
 			// No HostManager: go straight to countdown
@@ -295,7 +316,7 @@ function startHostIntro() {
  */
 function startWaitingInStartZone() {
 	// Setup new level path
-	setupLevel();
+	if (!setupLevel()) return;
 
 	// Keep grid dimmed
 	if (GridManager) {
@@ -314,6 +335,41 @@ function startWaitingInStartZone() {
 	// This prevents stale isInZone flags from skipping the return-to-start flow.
 }
 
+/**
+ * Starts the next round of a growing pack on the grid (no start zone or countdown)
+ * The path grows by one tile, then the player walks back onto the start tile
+ */
+function startReturningToStartTile() {
+	stopConfetti();
+
+	// Grow the path by this round's tile
+	if (!setupLevel()) return;
+
+	if (GridManager) {
+		GridManager.showOnlyStartTile();
+	}
+
+	if (HostManager) {
+		HostManager.playDialogue(gameState.growingRestarted ? DialogueLines.Dialogue.GROW_NEW_PATH : DialogueLines.Dialogue.GROW_NEXT_ROUND);
+	}
+
+	if (PlayerTracker && GridManager) {
+		PlayerTracker.waitForTile(GridManager.getPathStartPosition(), handleStartTileReached);
+	} else {
+		changeState(Constants.GameState.MEMORIZE);
+	}
+}
+
+/**
+ * Handles the player stepping back onto the start tile between growing rounds
+ */
+function handleStartTileReached() {
+	if (gameState.current !== Constants.GameState.RETURNING_TO_START_TILE) return;
+
+	gameState.onStartTile = true;
+	changeState(Constants.GameState.MEMORIZE);
+}
+
 /**
  * Handles player entering the start zone
  */
@@ -353,9 +409,13 @@ function beginCountdownFromStartZone() {
 
 	// Announce the level, then start countdown
 	if (HostManager) {
-		HostManager.playLevelAnnouncement(gameState.currentLevel, function () {
-			changeState(Constants.GameState.COUNTDOWN);
-		});
+		HostManager.playLevelAnnouncement(
+			gameState.currentLevel,
+			function () {
+				changeState(Constants.GameState.COUNTDOWN);
+			},
+			getLevelConfig(gameState.currentLevel).modifiers
+		);
 	} else {
 		changeState(Constants.GameState.COUNTDOWN);
 	}
@@ -364,6 +424,7 @@ function beginCountdownFromStartZone() {
 /**
  * Sets up the current level
  * Syncs with save system to prevent level desync bugs
+ * @returns {boolean} True if the level is ready, false if its path couldn't be built (the game returns to the menu)
  */
 function setupLevel() {
 	// Always verify level against save system (single source of truth)
@@ -376,34 +437,196 @@ function setupLevel() {
 	}
 
 	var levelConfig = getLevelConfig(gameState.currentLevel);
-
-	print("setupLevel: Level " + gameState.currentLevel + " → pathLength " + levelConfig.pathLength);
+	var modifiers = levelConfig.modifiers;
+	gameState.growingRestarted = false;
 
 	if (GridManager) {
-		// Generate new path for this level
-		GridManager.generateNewPath(levelConfig.pathLength);
+		// Levels in a pack may use different grid sizes, shapes and tiles (rebuilds only on change)
+		GridManager.setLayout(levelConfig.gridRows, levelConfig.gridColumns, levelConfig.mask, levelConfig.topology);
+
+		if (HostManager) {
+			HostManager.setGridFootprint(GridManager.getGridFootprint());
+		}
+
+		var growing = isGrowingPack();
+
+		// Reverse/mirror levels move the start tile and change which steps count
+		// (set before the path so hazards stay clear of the walk path too)
+		GridManager.setWalkMode(getWalkMode());
+		GridManager.setCollectAll(modifiers.collectAll === true);
+
+		// Rotation levels reveal the path as generated and only turn it when play starts
+		GridManager.setRotation(0);
+
+		// Fog levels hide the grid around the player once tracking starts (see PlayerTracker)
+		GridManager.setFog(modifiers.fog === true);
+
+		var pathOptions = {
+			diagonal: modifiers.diagonal === true,
+			crossing: modifiers.crossing === true,
+			hazards: modifiers.hazards || 0,
+			doubleSteps: modifiers.doubleSteps || 0,
+			bonusTiles: modifiers.bonusTiles || 0,
+			colors: modifiers.colorSequence || 0,
+		};
+
+		var path = null;
+		if (levelConfig.path) {
+			// Hand-authored path from the level pack
+			path = GridManager.setPath(levelConfig.path, pathOptions);
+		} else if (growing && gameState.growingPath.length === levelConfig.pathLength) {
+			// Retrying a growing round: the path persists
+			path = GridManager.setPath(gameState.growingPath, pathOptions);
+		} else {
+			// Generate new path for this level (debug seed beats the pack's seed)
+			// Growing packs add this round's tile to the end of the previous round's path
+			var seed = Constants.DebugConfig.FIXED_SEED !== null ? Constants.DebugConfig.FIXED_SEED : levelConfig.seed;
+			var generateOptions = {
+				difficulty: levelConfig.difficulty,
+				diagonal: pathOptions.diagonal,
+				crossing: pathOptions.crossing,
+				hazards: pathOptions.hazards,
+				teleporters: modifiers.teleporters || 0,
+				doubleSteps: pathOptions.doubleSteps,
+				bonusTiles: pathOptions.bonusTiles,
+				colors: pathOptions.colors,
+				paths: modifiers.paths || 0,
+				extendFrom: growing && gameState.growingPath.length === levelConfig.pathLength - 1 ? gameState.growingPath : null,
+			};
+
+			path = generateLevelPath(levelConfig.pathLength, seed, generateOptions);
+
+			if (!path && generateOptions.extendFrom) {
+				// The path has boxed its end tile in: this round starts over with a new path
+				print("GameStateManager: WARNING - the growing path ran out of room, starting a new " + levelConfig.pathLength + " tile path");
+				generateOptions.extendFrom = null;
+				path = generateLevelPath(levelConfig.pathLength, seed, generateOptions);
+				gameState.growingRestarted = !!path;
+			}
+		}
+
+		if (!path) {
+			handleLevelSetupFailed(levelConfig);
+			return false;
+		}
+		recordSeed(gameState.currentLevel, GridManager.getPathSeed());
+
+		if (growing) {
+			gameState.growingPath = GridManager.getPath().slice();
+		}
 	}
 
+	if (PlayerTracker) {
+		PlayerTracker.setRules(modifiers);
+	}
+
+	print("setupLevel: Level " + gameState.currentLevel + "/" + LevelPackLoader.getLevelCount() + " → " + levelConfig.gridColumns + "x" + levelConfig.gridRows + " " + levelConfig.topology + " grid, pathLength " + levelConfig.pathLength + ", " + getWalkMode() + " walk" + (modifiers.rotation > 0 ? ", rotated " + modifiers.rotation : "") + (levelConfig.path ? " (fixed path)" : " (seed " + getCurrentSeed() + ")"));
+
 	gameState.memorizeTimeRemaining = levelConfig.memorizeTime;
+	gameState.onStartTile = false;
+	gameState.lives = levelConfig.lives;
+	gameState.livesUsed = 0;
+
+	if (callbacks.onLivesUpdate) {
+		callbacks.onLivesUpdate(gameState.lives, gameState.lives);
+	}
+
+	return true;
+}
+
+/**
+ * Generates the current level's path, trying random seeds when the level's own seed fails (internal helper)
+ * A search can run out of budget on one seed and still succeed on another.
+ * @param {number} pathLength - Path length
+ * @param {number} seed - Seed to try first (null for a random one)
+ * @param {Object} options - Options for GridManager.generateNewPath
+ * @returns {Array} The path, or null if no attempt found one
+ */
+function generateLevelPath(pathLength, seed, options) {
+	var path = null;
+
+	for (var attempt = 0; attempt < Constants.LevelConfig.PATH_ATTEMPTS && !path; attempt++) {
+		if (attempt > 0) {
+			print("GameStateManager: WARNING - no path for level " + gameState.currentLevel + " from seed " + GridManager.getPathSeed() + ", trying a random seed");
+		}
+		path = GridManager.generateNewPath(pathLength, attempt === 0 ? seed : null, options);
+	}
+
+	return path;
+}
+
+/**
+ * Handles a level whose path couldn't be built: tells the player, then returns to the menu
+ * The growing path and the seed history are left as they were, so the level can be tried again.
+ * @param {Object} levelConfig - Configuration of the level that failed
+ */
+function handleLevelSetupFailed(levelConfig) {
+	print("GameStateManager: ERROR - level " + gameState.currentLevel + " (" + levelConfig.gridColumns + "x" + levelConfig.gridRows + ", pathLength " + levelConfig.pathLength + ") couldn't be built, returning to the menu");
+
+	if (CountdownDisplay) {
+		CountdownDisplay.initialize(floorPosition);
+		CountdownDisplay.showMessage("LEVEL UNAVAILABLE", Constants.LevelConfig.SETUP_ERROR_TIME, exitToMainMenu);
+	} else {
+		exitToMainMenu();
+	}
+}
+
+/**
+ * Records the seed used for an attempt at a level
+ * @param {number} level - Level number
+ * @param {number} seed - Seed the path was generated from (null for a fixed path)
+ */
+function recordSeed(level, seed) {
+	var attempt = 1;
+	for (var i = 0; i < gameState.seedHistory.length; i++) {
+		if (gameState.seedHistory[i].level === level) {
+			attempt++;
+		}
+	}
+
+	gameState.seedHistory.push({ level: level, attempt: attempt, seed: seed });
 }
 
 /**
- * Gets configuration for a specific level
- * Path length = BASE_PATH_LENGTH + (level - 1) * PATH_INCREMENT
+ * Gets the seed of the current attempt
+ * @returns {number} Seed, or null if no path has been generated yet
+ */
+function getCurrentSeed() {
+	if (gameState.seedHistory.length === 0) return null;
+	return gameState.seedHistory[gameState.seedHistory.length - 1].seed;
+}
+
+/**
+ * Gets the seeds used for every attempt this session
+ * @returns {Array} Copy of the history, oldest first: { level, attempt, seed }
+ */
+function getSeedHistory() {
+	return gameState.seedHistory.slice();
+}
+
+/**
+ * Gets configuration for a specific level from the active level pack
  * @param {number} level - Level number
- * @returns {Object} Level configuration
+ * @returns {Object} Level configuration (see LevelPackLoader.getLevel)
  */
 function getLevelConfig(level) {
-	var config = Constants.LevelConfig;
-	var pathLength = config.BASE_PATH_LENGTH + (level - 1) * config.PATH_INCREMENT;
-	pathLength = Math.min(pathLength, config.MAX_PATH_LENGTH);
+	return LevelPackLoader.getLevel(level);
+}
 
-	return {
-		gridRows: config.GRID_ROWS,
-		gridColumns: config.GRID_COLUMNS,
-		pathLength: pathLength,
-		memorizeTime: config.MEMORIZE_TIME,
-	};
+/**
+ * Checks if the active level pack is a growing (Simon-style) pack
+ * @returns {boolean} True if the path persists and grows each round
+ */
+function isGrowingPack() {
+	return LevelPackLoader.getActivePack().mode === Constants.PackMode.GROWING;
+}
+
+/**
+ * Gets how the current level's path must be walked
+ * @returns {string} Constants.WalkMode value
+ */
+function getWalkMode() {
+	return getLevelConfig(gameState.currentLevel).modifiers.walkMode || Constants.WalkMode.FORWARD;
 }
 
 /**
@@ -491,10 +714,45 @@ function revealPathAndStartTimer() {
 	if (GridManager) {
 		GridManager.showGrid();
 
-		GridManager.revealPathSequential(function () {
-			// Path fully revealed, start memorize timer
-			startMemorizeTimer();
-		});
+		var levelConfig = getLevelConfig(gameState.currentLevel);
+
+		// Collect-all levels have no order to show, so every target appears at once
+		if (levelConfig.modifiers.collectAll === true) {
+			GridManager.revealTargets(startMemorizeTimer);
+			return;
+		}
+
+		// Colour-sequence levels flash their colours in order, at the reveal speed
+		if (GridManager.isColorSequence()) {
+			GridManager.revealColorSequence(startMemorizeTimer, { flashDelay: 1 / levelConfig.revealSpeed });
+			return;
+		}
+
+		// Multi-path levels show every path, one after the other, in its own colour
+		if (GridManager.getPathCount() > 1) {
+			GridManager.revealPathChoices(startMemorizeTimer, { tileDelay: 1 / levelConfig.revealSpeed });
+			return;
+		}
+
+		// Number-order levels show the whole path at once, numbered 1..N
+		if (levelConfig.modifiers.numbers === true) {
+			GridManager.revealPathNumbers(startMemorizeTimer);
+			return;
+		}
+
+		// Growing rounds started on the grid may show only the tile they added
+		var fromIndex = 0;
+		if (gameState.onStartTile && LevelPackLoader.getActivePack().growReveal === Constants.GrowReveal.NEW_TILE) {
+			fromIndex = GridManager.getNewTileIndex();
+		}
+
+		GridManager.revealPathSequential(
+			function () {
+				// Path fully revealed, start memorize timer
+				startMemorizeTimer();
+			},
+			{ tileDelay: 1 / levelConfig.revealSpeed, fromIndex: fromIndex, decoys: levelConfig.modifiers.decoys }
+		);
 	}
 }
 
@@ -532,26 +790,53 @@ function startMemorizeTimer() {
  * Starts the play phase
  */
 function startPlayPhase() {
-	// Hide the path (keep start/end visible)
+	var rotation = getLevelConfig(gameState.currentLevel).modifiers.rotation || 0;
+	var goDialogue = DialogueLines.getRotationGoDialogue(rotation) || DialogueLines.getRandomGoDialogue();
+	var goMessage = "GO!";
+
 	if (GridManager) {
+		// Multi-path levels: pick the path to walk now, so it can't be told apart while memorizing
+		if (GridManager.getPathCount() > 1) {
+			var pathIndex = Math.floor(GridManager.createPathRandom("pathChoice")() * GridManager.getPathCount());
+			var colorId = GridManager.getPathColorId(pathIndex);
+			GridManager.selectPath(pathIndex);
+			goDialogue = DialogueLines.getPathChoiceDialogue(colorId);
+			goMessage = colorId.toUpperCase() + "!";
+			print("startPlayPhase: Walking the " + colorId + " path");
+		}
+
+		// Turn the memorized path on rotation levels, then hide it (keep the turned start/end visible)
+		GridManager.setRotation(rotation);
 		GridManager.hidePath();
+
+		// Session recordings need the path actually walked to make sense of the triggers
+		if (global.PathFinder && global.PathFinder.Recorder) {
+			global.PathFinder.Recorder.recordPath({
+				level: gameState.currentLevel,
+				seed: getCurrentSeed(),
+				path: GridManager.getPath(),
+				walkPath: GridManager.getWalkPath(),
+				grid: GridManager.getGridConfig(),
+				gridParent: GridManager.getGridParent(),
+			});
+		}
 	}
 
-	// Show "GO!" message - NOW the player should move
+	// Show "GO!" message (or the colour to walk) - NOW the player should move
 	if (CountdownDisplay) {
-		CountdownDisplay.showMessage("GO!", 1.0);
+		CountdownDisplay.showMessage(goMessage, 1.0);
 	}
 
-	// Start tracking player position
+	// Start tracking player position (growing rounds begin with the player on the start tile)
 	if (PlayerTracker) {
-		PlayerTracker.startTracking();
+		PlayerTracker.startTracking({ onStartTile: gameState.onStartTile });
 	}
 
 	// Exit button is already shown from MainMenuManager when Start was pressed
 
-	// Play random "go" line (host stays hidden - player is mid-grid)
+	// Play random "go" line, or say which way the path turned or which path to walk (host stays hidden - player is mid-grid)
 	if (HostManager) {
-		HostManager.playDialogue(DialogueLines.getRandomGoDialogue());
+		HostManager.playDialogue(goDialogue);
 	}
 
 	// Start idle prompt timer - nudge the player if they don't move
@@ -575,18 +860,44 @@ function handleCorrectStep(gridPos, progress, total) {
 	}
 }
 
+/**
+ * Highlights a tile the player entered while the step waits out its dwell time
+ * @param {Object} gridPos - Grid position of the pending tile
+ */
+function handleTilePending(gridPos) {
+	if (GridManager) {
+		GridManager.showTilePending(gridPos.x, gridPos.z);
+	}
+}
+
+/**
+ * Removes the pending highlight once the step is confirmed or the player backs off the tile
+ * @param {Object} gridPos - Grid position of the pending tile
+ */
+function clearTilePending(gridPos) {
+	if (GridManager) {
+		GridManager.clearTilePending(gridPos.x, gridPos.z);
+	}
+}
+
 /**
  * Handles a wrong step by the player
  * @param {Object} gridPos - Grid position of the wrong step
- * @param {Object} expectedPos - Expected grid position
+ * @param {Object} expectedPos - Expected grid position (null on collect-all and colour-sequence levels)
  */
 function handleWrongStep(gridPos, expectedPos) {
 	gameState.wrongSteps++;
 	gameState.score = Math.max(0, gameState.score - 25);
+	gameState.livesUsed++;
 
-	// Stop tracking immediately to prevent more steps
-	if (PlayerTracker) {
-		PlayerTracker.stopTracking();
+	// Hazards fail the level at once, however many lives are left
+	if (GridManager && GridManager.isHazardTile(gridPos.x, gridPos.z)) {
+		gameState.livesUsed = Math.max(gameState.livesUsed, gameState.lives);
+	}
+
+	var livesLeft = Math.max(0, gameState.lives - gameState.livesUsed);
+	if (callbacks.onLivesUpdate) {
+		callbacks.onLivesUpdate(livesLeft, gameState.lives);
 	}
 
 	// Play error sound via global audio API
@@ -594,6 +905,16 @@ function handleWrongStep(gridPos, expectedPos) {
 		global.PathFinder.Audio.playError();
 	}
 
+	if (livesLeft > 0) {
+		forgiveWrongStep(gridPos, livesLeft);
+		return;
+	}
+
+	// Stop tracking immediately to prevent more steps
+	if (PlayerTracker) {
+		PlayerTracker.stopTracking();
+	}
+
 	// Delay before transitioning to failed state so red tile stays visible
 	var delay = script.createEvent("DelayedCallbackEvent");
 	delay.bind(function () {
@@ -602,6 +923,46 @@ function handleWrongStep(gridPos, expectedPos) {
 	delay.reset(1.5); // 1.5 seconds to clearly see the wrong tile
 }
 
+/**
+ * Costs the player a life instead of failing the level: the wrong tile flashes red,
+ * then goes back to how it was while play continues from the last correct tile
+ * @param {Object} gridPos - Grid position of the wrong step
+ * @param {number} livesLeft - Lives the player has left
+ */
+function forgiveWrongStep(gridPos, livesLeft) {
+	print("GameStateManager: Wrong step forgiven, " + livesLeft + " " + (livesLeft === 1 ? "life" : "lives") + " left");
+
+	if (PlayerTracker) {
+		PlayerTracker.forgiveWrongStep(gridPos);
+	}
+
+	// Reset idle timer since player is actively moving
+	startIdlePromptTimer();
+
+	var revert = script.createEvent("DelayedCallbackEvent");
+	revert.bind(function () {
+		if (GridManager && gameState.current === Constants.GameState.PLAYING) {
+			GridManager.revertTileWrong(gridPos.x, gridPos.z);
+		}
+	});
+	revert.reset(1.0); // Long enough to see which tile was wrong
+}
+
+/**
+ * Handles a bonus tile the player picked up along the way
+ * @param {Object} gridPos - Grid position of the bonus tile
+ */
+function handleBonusCollected(gridPos) {
+	gameState.score += 250;
+
+	// Reset idle timer since player is actively moving
+	startIdlePromptTimer();
+
+	if (callbacks.onScoreUpdate) {
+		callbacks.onScoreUpdate(gameState.score);
+	}
+}
+
 /**
  * Handles path completion
  * @param {Array} stepsArray - Array of steps taken
@@ -634,7 +995,7 @@ function handleGameCompleted() {
 			unlockedBefore = global.PathFinder.Save.getUnlockedAchievements().slice();
 		}
 
-		global.PathFinder.Save.onLevelCompleted(gameState.currentLevel, firstTry);
+		global.PathFinder.Save.onLevelCompleted(gameState.currentLevel, firstTry, gameState.livesUsed);
 
 		// Fallback path: compute newly unlocked IDs directly from save state and
 		// enqueue popups here, in case event subscription order/hot reload breaks
@@ -668,17 +1029,17 @@ function handleGameCompleted() {
 	// Play confetti celebration
 	playConfetti();
 
-	// Check if all levels completed
-	var isGameComplete = gameState.currentLevel >= 11;
+	// Check if all levels in the pack are completed
+	var isGameComplete = gameState.currentLevel >= LevelPackLoader.getLevelCount();
 	var isFlawless = false;
 	if (global.PathFinder && global.PathFinder.Save) {
-		isFlawless = global.PathFinder.Save.getTotalRetries() === 0;
+		isFlawless = global.PathFinder.Save.getTotalRetries() === 0 && global.PathFinder.Save.getTotalLivesUsed() === 0;
 	}
 
 	// Play success/completion audio, then progression, then return-to-start prompt
 	if (HostManager) {
 		if (isGameComplete) {
-			// All 11 levels done — play completion audio, pause, then return to main menu
+			// Every level done — play completion audio, pause, then return to main menu
 			HostManager.playGameComplete(isFlawless, function () {
 				var congratsDelay = script.createEvent("DelayedCallbackEvent");
 				congratsDelay.bind(function () {
@@ -686,13 +1047,16 @@ function handleGameCompleted() {
 				});
 				congratsDelay.reset(5.0);
 			});
+		} else if (isGrowingPack()) {
+			// Growing packs go straight into the next round on the grid
+			HostManager.playSuccessResponse(firstTry, startNextRound);
 		} else {
 			// Success → optional progression line → return-to-start
 			HostManager.playSuccessResponse(firstTry, function () {
 				// Play progression line if at a milestone
 				var nextLevel = gameState.currentLevel + 1;
 				var progressionDialogue = DialogueLines.getLevelUpDialogue(nextLevel);
-				var isAtMilestone = nextLevel === 6 || nextLevel >= 10;
+				var isAtMilestone = DialogueLines.isLevelUpMilestone(nextLevel);
 
 				if (isAtMilestone) {
 					HostManager.playDialogue(progressionDialogue, function () {
@@ -717,6 +1081,8 @@ function handleGameCompleted() {
 		delay.bind(function () {
 			if (isGameComplete) {
 				exitToMainMenu();
+			} else if (isGrowingPack()) {
+				startNextRound();
 			} else {
 				promptReturnToStartZone(true);
 			}
@@ -729,6 +1095,8 @@ function handleGameCompleted() {
 			level: gameState.currentLevel,
 			score: gameState.score,
 			wrongSteps: gameState.wrongSteps,
+			livesUsed: gameState.livesUsed,
+			seed: getCurrentSeed(),
 		});
 	}
 }
@@ -787,6 +1155,7 @@ function handleGameFailed() {
 			score: gameState.score,
 			wrongSteps: gameState.wrongSteps,
 			progress: PlayerTracker ? PlayerTracker.getPathProgress() : 0,
+			seed: getCurrentSeed(),
 		});
 	}
 }
@@ -831,6 +1200,23 @@ function promptReturnToStartZone(isSuccess) {
 	changeState(Constants.GameState.WAITING_IN_START_ZONE);
 }
 
+/**
+ * Advances a growing pack to its next round without going back to the start zone
+ */
+function startNextRound() {
+	if (GridManager) {
+		GridManager.resetTileStates();
+	}
+
+	gameState.currentLevel++;
+
+	if (PlayerTracker) {
+		PlayerTracker.reset();
+	}
+
+	changeState(Constants.GameState.RETURNING_TO_START_TILE);
+}
+
 /**
  * Clears a specific timer
  * @param {string} timerName - Name of timer to clear
@@ -930,7 +1316,7 @@ function onGridPlaced(gridOrigin, floorY) {
 	// Initialize GridManager with placed position
 	if (GridManager) {
 		var levelConfig = getLevelConfig(gameState.currentLevel);
-		GridManager.initialize(gridOrigin, levelConfig.gridRows, levelConfig.gridColumns);
+		GridManager.initialize(gridOrigin, levelConfig.gridRows, levelConfig.gridColumns, levelConfig.mask, levelConfig.topology);
 	}
 
 	// Store placement position for Quick Start on restart
@@ -964,7 +1350,7 @@ function startWithPosition(gridOrigin, floorY) {
 	if (GridManager) {
 		GridManager.showGrid();
 		var levelConfig = getLevelConfig(gameState.currentLevel);
-		GridManager.initialize(gridOrigin, levelConfig.gridRows, levelConfig.gridColumns);
+		GridManager.initialize(gridOrigin, levelConfig.gridRows, levelConfig.gridColumns, levelConfig.mask, levelConfig.topology);
 	}
 
 	// Hint is shown by startGridIntro() at the right time
@@ -1099,7 +1485,10 @@ function getGameState() {
 		level: gameState.currentLevel,
 		score: gameState.score,
 		wrongSteps: gameState.wrongSteps,
+		lives: gameState.lives,
+		livesUsed: gameState.livesUsed,
 		memorizeTimeRemaining: gameState.memorizeTimeRemaining,
+		seed: getCurrentSeed(),
 	};
 }
 
@@ -1108,9 +1497,8 @@ function getGameState() {
  * @param {number} level - Level number
  */
 function setLevel(level) {
-	// Max level is when path length reaches MAX_PATH_LENGTH
-	var config = Constants.LevelConfig;
-	var maxLevel = Math.floor((config.MAX_PATH_LENGTH - config.BASE_PATH_LENGTH) / config.PATH_INCREMENT) + 1;
+	// Max level is the last level of the active pack
+	var maxLevel = LevelPackLoader.getLevelCount();
 	gameState.currentLevel = Math.max(1, Math.min(level, maxLevel));
 }
 
@@ -1133,6 +1521,9 @@ function onGameFailed(callback) {
 function onScoreUpdate(callback) {
 	callbacks.onScoreUpdate = callback;
 }
+function onLivesUpdate(callback) {
+	callbacks.onLivesUpdate = callback;
+}
 
 // Export module API directly on script
 script.initialize = initialize;
@@ -1146,6 +1537,7 @@ script.restartLevel = restartLevel;
 script.returnToIdle = returnToIdle;
 script.exitToMainMenu = exitToMainMenu;
 script.getGameState = getGameState;
+script.getSeedHistory = getSeedHistory;
 script.setLevel = setLevel;
 script.onStateChange = onStateChange;
 script.onCountdownTick = onCountdownTick;
@@ -1153,6 +1545,7 @@ script.onMemorizeTimeTick = onMemorizeTimeTick;
 script.onGameComplete = onGameComplete;
 script.onGameFailed = onGameFailed;
 script.onScoreUpdate = onScoreUpdate;
+script.onLivesUpdate = onLivesUpdate;
 script.GameState = Constants.GameState;
 
 // Global API for other scripts to access
@@ -1162,6 +1555,7 @@ global.PathFinder.Game = {
 	exit: exitToMainMenu,
 	startWithPosition: startWithPosition,
 	getState: getGameState,
+	getSeedHistory: getSeedHistory,
 	setLevel: setLevel,
 };
 
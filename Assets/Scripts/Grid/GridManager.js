@@ -3,9 +3,11 @@
 
 // @input SceneObject gridParent {"label": "Grid Parent", "hint": "Parent object for all grid tiles"}
 // @input Asset.Material tileMaterial {"label": "Tile Material", "hint": "Material for grid tiles"}
-// @input Asset.ObjectPrefab tilePrefab {"label": "Tile Prefab", "hint": "Prefab for individual tiles (include 'Arrow' child for direction hints)"}
+// @input Asset.ObjectPrefab tilePrefab {"label": "Tile Prefab", "hint": "Prefab for individual tiles (include 'Arrow' child for direction hints and a 'Label' child with a Text3D for numbers)"}
 // @input bool scaleTiles = true {"label": "Scale Tiles", "hint": "Scale tiles to TILE_SIZE (50cm). Disable if prefab is already sized."}
 // @input Asset.ObjectPrefab triggerPrefab {"label": "Trigger Prefab", "hint": "Prefab with ColliderComponent (trigger) for tile entry detection"}
+// @input Asset.ObjectPrefab hexTilePrefab {"label": "Hex Tile Prefab", "hint": "Pointy-top hex tile for hex grids (include 'Arrow' and 'Label' children). Gets a hex prism if its mesh is empty. Falls back to Tile Prefab."}
+// @input Asset.ObjectPrefab hexTriggerPrefab {"label": "Hex Trigger Prefab", "hint": "Hex-shaped trigger collider for hex grids. Gets a hex prism collider if its mesh is empty. Falls back to Trigger Prefab."}
 
 var Constants = require("../Utils/Constants");
 var MathHelpers = require("../Utils/MathHelpers");
@@ -24,7 +26,10 @@ var gridConfig = {
 	tileSize: Constants.GridConfig.TILE_SIZE,
 	tileGap: Constants.GridConfig.TILE_GAP,
 	origin: null,
-	tiles: [],
+	mask: null, // Tile mask from MathHelpers.createGridMask (null = every tile exists)
+	anchor: null, // Grid position of the tile anchored at the placement point
+	topology: Constants.GridConfig.TOPOLOGY, // Constants.GridTopology value
+	tiles: [], // Masked-out cells hold null in tiles, tileObjects and triggerObjects
 	tileObjects: [],
 	triggerObjects: [], // Trigger plane objects for collision detection
 	arrowOriginalRotations: [], // Store original arrow rotations per tile
@@ -33,12 +38,36 @@ var gridConfig = {
 // Callback for when a trigger is entered
 var onTriggerEnteredCallback = null;
 
+// Mixed into the path seed for random choices made after generation (see createPathRandom),
+// so each choice draws from its own stream
+var RANDOM_SALTS = {
+	pathChoice: 0x2545f491, // Which path a multi-path level walks
+	decoys: 0x68e31da4, // When decoys flash and on which tiles
+};
+
 // Current path data
 var pathData = {
 	path: [],
 	isRevealed: false,
+	seed: null, // Seed the current path was generated from (replays the same path)
+	difficulty: 0, // PathGenerator.scorePathDifficulty of the current path (0-1)
+	diagonal: false, // Whether the current path may step diagonally
+	crossing: false, // Whether the current path may cross itself
+	collectAll: false, // Path tiles are a set of targets, stepped on in any order (see setCollectAll)
+	walkMode: Constants.WalkMode.FORWARD, // How the player must walk the revealed path (see getWalkPath)
+	rotation: 0, // Degrees clockwise the walk path is turned from the revealed one (rotation levels)
+	newTileIndex: 0, // Index of the first tile the last generateNewPath added (> 0 when it grew a path)
+	hazards: [], // Hazard tiles {x, z} placed around the path (hazards modifier)
+	bonusTiles: [], // Optional tiles {x, z} next to the path that award extra score (bonusTiles modifier)
+	colorLayout: null, // Colour-sequence levels: layout[z][x] colour ids (null on other levels)
+	paths: [], // Every path revealed during memorize, in PATH_PALETTE order (just the path on single-path levels)
+	selectedPath: 0, // Index in paths of the path the player walks (see selectPath)
+	fog: false, // Play phase only shows the tiles around the player (see updateFog)
 };
 
+// Hex prism mesh for hex prefabs that bring no mesh of their own (built on first use, see getHexMesh)
+var hexMesh = null;
+
 // Initialization flag
 var isInitialized = false;
 
@@ -110,11 +139,15 @@ function setupIdlePulseUpdate() {
  * @param {vec3} originPosition - World position for grid origin (placement point)
  * @param {number} rows - Number of rows (optional, uses default)
  * @param {number} columns - Number of columns (optional, uses default)
+ * @param {Array} mask - Tile mask from MathHelpers.createGridMask (optional, every tile exists)
+ * @param {string} topology - Constants.GridTopology value (optional, uses default)
  */
-function initialize(originPosition, rows, columns) {
+function initialize(originPosition, rows, columns, mask, topology) {
 	gridConfig.origin = originPosition;
 	gridConfig.rows = rows || Constants.GridConfig.DEFAULT_ROWS;
 	gridConfig.columns = columns || Constants.GridConfig.DEFAULT_COLUMNS;
+	gridConfig.mask = mask || null;
+	gridConfig.topology = topology || Constants.GridConfig.TOPOLOGY;
 
 	// Clear any existing tiles
 	clearGrid();
@@ -127,13 +160,71 @@ function initialize(originPosition, rows, columns) {
 
 	isInitialized = true;
 
-	print("GridManager: Initialized " + gridConfig.rows + "x" + gridConfig.columns + " grid");
+	print("GridManager: Initialized " + gridConfig.rows + "x" + gridConfig.columns + " " + gridConfig.topology + " grid" + (gridConfig.mask ? " (" + MathHelpers.countGridTiles(gridConfig.rows, gridConfig.columns, gridConfig.mask) + " tiles)" : ""));
+}
+
+/**
+ * Changes the grid size and shape, rebuilding tiles and triggers only if the layout actually changed
+ * Keeps the current origin, so the start tile stays anchored at the placement point
+ * @param {number} rows - Number of rows (optional, uses default)
+ * @param {number} columns - Number of columns (optional, uses default)
+ * @param {Array} mask - Tile mask from MathHelpers.createGridMask (null = every tile exists)
+ * @param {string} topology - Constants.GridTopology value (optional, uses default)
+ */
+function setLayout(rows, columns, mask, topology) {
+	rows = rows || Constants.GridConfig.DEFAULT_ROWS;
+	columns = columns || Constants.GridConfig.DEFAULT_COLUMNS;
+	mask = mask || null;
+	topology = topology || Constants.GridConfig.TOPOLOGY;
+
+	if (rows === gridConfig.rows && columns === gridConfig.columns && topology === gridConfig.topology && masksEqual(gridConfig.mask, mask, rows, columns)) return;
+
+	if (!isInitialized) {
+		gridConfig.rows = rows;
+		gridConfig.columns = columns;
+		gridConfig.mask = mask;
+		gridConfig.topology = topology;
+		return;
+	}
+
+	// Tear down with the old dimensions, then rebuild with the new ones
+	clearGrid();
+	gridConfig.rows = rows;
+	gridConfig.columns = columns;
+	gridConfig.mask = mask;
+	gridConfig.topology = topology;
+	createGrid();
+	dimGridBackground();
+
+	print("GridManager: Rebuilt grid as " + rows + "x" + columns + " " + topology + " (" + MathHelpers.countGridTiles(rows, columns, mask) + " tiles)");
+}
+
+/**
+ * Compares two tile masks cell by cell
+ * @param {Array} a - First mask (or null)
+ * @param {Array} b - Second mask (or null)
+ * @param {number} rows - Rows both masks cover
+ * @param {number} columns - Columns both masks cover
+ * @returns {boolean} True if both describe the same shape
+ */
+function masksEqual(a, b, rows, columns) {
+	if (!a || !b) return a === b;
+
+	for (var z = 0; z < rows; z++) {
+		for (var x = 0; x < columns; x++) {
+			if (a[z][x] !== b[z][x]) return false;
+		}
+	}
+
+	return true;
 }
 
 /**
  * Creates the visual grid of tiles
+ * Masked-out cells get no tile, no trigger and a null entry
  */
 function createGrid() {
+	gridConfig.anchor = PathGenerator.getNearEdgeStart(gridConfig.rows, gridConfig.columns, gridConfig.mask);
 	gridConfig.tiles = [];
 	gridConfig.tileObjects = [];
 	gridConfig.triggerObjects = [];
@@ -144,17 +235,33 @@ function createGrid() {
 		gridConfig.triggerObjects[z] = [];
 
 		for (var x = 0; x < gridConfig.columns; x++) {
+			if (!isValidTilePosition(x, z)) {
+				gridConfig.tiles[z][x] = null;
+				gridConfig.tileObjects[z][x] = null;
+				gridConfig.triggerObjects[z][x] = null;
+				continue;
+			}
+
 			// Calculate tile world position
-			var tileWorldPos = MathHelpers.gridToWorld(x, z, gridConfig.origin, gridConfig.tileSize, gridConfig.tileGap);
+			var tileWorldPos = localToWorld(getTileLocalPosition(x, z));
 
 			// Create tile data
 			var tileData = {
 				gridX: x,
 				gridZ: z,
 				worldPosition: tileWorldPos,
-				state: "default", // default, path, correct, wrong, start, end
+				state: "default", // default, path, correct, wrong, start, end, hazard, bonus
 				isPathTile: false,
-				pathIndex: -1,
+				isHazard: false, // Hazard tile: stays visible and fails the level when stepped on
+				behavior: Constants.TileBehavior.NONE, // Special tile type (see Constants.TileBehavior)
+				teleportPair: null, // Teleporter tiles: position {x, z} of the other end
+				colorId: null, // Colour-sequence levels: colour id the tile is painted (see SEQUENCE_PALETTE)
+				pathIndex: -1, // First index of the tile on the path
+				pathVisits: 0, // Times the path passes over the tile (2 where a crossing path crosses)
+				revealedPaths: 0, // Multi-path levels: revealed paths that pass over the tile (2+ = shared)
+				fogAlpha: null, // Fog levels: alpha the tile had before fog hid it (null = not hidden)
+				pendingColor: null, // Colour the tile had before a pending step highlighted it (null = not pending)
+				beforeWrong: null, // State and colour { state, color } the tile had before it was marked wrong (see revertTileWrong)
 			};
 
 			gridConfig.tiles[z][x] = tileData;
@@ -182,16 +289,21 @@ function createGrid() {
  * @returns {SceneObject} The created trigger object
  */
 function createTriggerPlane(tileData, tileObject) {
-	if (!script.triggerPrefab) return null;
+	var triggerPrefab = isHexGrid() && script.hexTriggerPrefab ? script.hexTriggerPrefab : script.triggerPrefab;
+	if (!triggerPrefab) return null;
 
 	// Instantiate trigger prefab as child of the tile
-	var triggerObject = script.triggerPrefab.instantiate(tileObject);
+	var triggerObject = triggerPrefab.instantiate(tileObject);
 
 	if (triggerObject) {
 		// Position at tile center - size and rotation are kept from the prefab
 		var transform = triggerObject.getTransform();
 		transform.setLocalPosition(new vec3(0, 0, 0));
 
+		if (isHexGrid()) {
+			fillHexMesh(triggerObject, true);
+		}
+
 		// Get the TileTrigger script component and set it up
 		var triggerScript = triggerObject.getComponent("Component.ScriptComponent");
 		if (triggerScript && triggerScript.setup) {
@@ -209,6 +321,10 @@ function createTriggerPlane(tileData, tileObject) {
  * @param {Object} data - Trigger data {x, z, direction}
  */
 function handleTriggerEntered(data) {
+	if (global.PathFinder && global.PathFinder.Recorder) {
+		global.PathFinder.Recorder.recordTrigger(data.x, data.z);
+	}
+
 	if (onTriggerEnteredCallback) {
 		onTriggerEnteredCallback(data.x, data.z);
 	}
@@ -221,10 +337,11 @@ function handleTriggerEntered(data) {
  */
 function createTileObject(tileData) {
 	var tileObject = null;
+	var tilePrefab = isHexGrid() && script.hexTilePrefab ? script.hexTilePrefab : script.tilePrefab;
 
-	if (script.tilePrefab) {
+	if (tilePrefab) {
 		// Instantiate from prefab
-		tileObject = script.tilePrefab.instantiate(script.gridParent);
+		tileObject = tilePrefab.instantiate(script.gridParent);
 	} else {
 		// Create a basic box if no prefab assigned
 		tileObject = createBasicTile();
@@ -235,25 +352,7 @@ function createTileObject(tileData) {
 
 		// Calculate LOCAL position relative to grid parent (not world position)
 		// This ensures tiles align with the parent's rotation
-		var totalTileSize = gridConfig.tileSize + gridConfig.tileGap;
-		var halfTile = gridConfig.tileSize / 2;
-
-		// Calculate grid dimensions to center horizontally
-		var gridWidth = gridConfig.columns * totalTileSize - gridConfig.tileGap;
-		var offsetX = -gridWidth / 2;
-
-		// ANCHOR START TILE at placement center, grid extends AWAY from player
-		// Start tile is at gridZ = rows - 1 (front-center of grid)
-		// Placement point = where user pinched = local origin (0,0,0)
-		// +Z is toward player, so grid extends into -Z (away from player)
-		var startGridZ = gridConfig.rows - 1;
-
-		var localX = tileData.gridX * totalTileSize + halfTile + offsetX;
-		var localY = 0; // On the floor plane
-		// Start tile at small positive Z (just in front of placement), grid extends to -Z
-		var localZ = halfTile + (tileData.gridZ - startGridZ) * totalTileSize;
-
-		transform.setLocalPosition(new vec3(localX, localY, localZ));
+		transform.setLocalPosition(getTileLocalPosition(tileData.gridX, tileData.gridZ));
 
 		// Scale tiles if enabled (for 1-unit base prefabs)
 		if (script.scaleTiles) {
@@ -261,6 +360,10 @@ function createTileObject(tileData) {
 			transform.setLocalScale(scale);
 		}
 
+		if (isHexGrid()) {
+			fillHexMesh(tileObject, false);
+		}
+
 		// Clone the material so each tile can have independent color
 		var meshVisual = tileObject.getComponent("Component.RenderMeshVisual");
 		if (meshVisual && meshVisual.mainMaterial) {
@@ -283,11 +386,72 @@ function createTileObject(tileData) {
 			tileObject.arrowOriginalRotation = originalRot.toEulerAngles();
 			arrowChild.enabled = false;
 		}
+
+		// Find and hide label child (Text3D overlay for numbers, if exists in prefab)
+		var labelChild = findChildByName(tileObject, "Label");
+		if (labelChild) {
+			labelChild.enabled = false;
+		}
 	}
 
 	return tileObject;
 }
 
+/**
+ * Gets a tile's position relative to the grid parent
+ * ANCHOR START TILE at placement center, grid extends AWAY from player.
+ * The start tile (near-edge center, see PathGenerator.getNearEdgeStart) sits at the
+ * placement point whatever the grid size, so the start zone never has to move.
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @returns {vec3} Local position of the tile center
+ */
+function getTileLocalPosition(gridX, gridZ) {
+	return MathHelpers.gridToWorld(gridX, gridZ, getLayoutOrigin(), gridConfig.tileSize, gridConfig.tileGap, gridConfig.topology);
+}
+
+/**
+ * Gets the local-space origin to lay tiles out from (see MathHelpers.gridToWorld)
+ * Chosen so the anchor tile's center lands half a tile in front of the placement point
+ * @returns {vec3} Local origin
+ */
+function getLayoutOrigin() {
+	var anchor = gridConfig.anchor || { x: Math.floor(gridConfig.columns / 2), z: gridConfig.rows - 1 };
+	var anchorPos = MathHelpers.gridToWorld(anchor.x, anchor.z, new vec3(0, 0, 0), gridConfig.tileSize, gridConfig.tileGap, gridConfig.topology);
+
+	// Placement point = where user pinched = local origin (0,0,0)
+	// +Z is toward player, so grid extends into -Z (away from player)
+	// Start tile at small positive Z (just in front of placement), on the floor plane
+	return new vec3(-anchorPos.x, 0, gridConfig.tileSize / 2 - anchorPos.z);
+}
+
+/**
+ * Checks if the grid uses hex tiles
+ * @returns {boolean} True for hex topology
+ */
+function isHexGrid() {
+	return gridConfig.topology === Constants.GridTopology.HEX;
+}
+
+/**
+ * Converts a position relative to the grid parent into world space
+ * Falls back to offsetting from the grid origin when there is no grid parent
+ * @param {vec3} localPos - Local position
+ * @returns {vec3} World position
+ */
+function localToWorld(localPos) {
+	if (!script.gridParent) {
+		var origin = gridConfig.origin || new vec3(0, 0, 0);
+		return new vec3(origin.x + localPos.x, origin.y + localPos.y, origin.z + localPos.z);
+	}
+
+	var parentTransform = script.gridParent.getTransform();
+	var parentWorldPos = parentTransform.getWorldPosition();
+	var rotated = parentTransform.getWorldRotation().multiplyVec3(localPos);
+
+	return new vec3(parentWorldPos.x + rotated.x, parentWorldPos.y + rotated.y, parentWorldPos.z + rotated.z);
+}
+
 /**
  * Finds a child object by name (case-insensitive)
  * @param {SceneObject} parent - Parent object to search
@@ -316,6 +480,100 @@ function createBasicTile() {
 	return null;
 }
 
+/**
+ * Gives a hex tile or trigger the hex prism mesh when its prefab has none (internal helper)
+ * Lens Studio has no built-in hex mesh, so the hex prefabs leave their mesh empty;
+ * a prefab that brings its own mesh is left alone.
+ * @param {SceneObject} sceneObject - Tile or trigger object
+ * @param {boolean} shapeCollider - Also shape its collider to the prism (triggers)
+ */
+function fillHexMesh(sceneObject, shapeCollider) {
+	var meshVisual = sceneObject.getComponent("Component.RenderMeshVisual");
+	if (!meshVisual || meshVisual.mesh) return;
+
+	meshVisual.mesh = getHexMesh();
+
+	var collider = shapeCollider ? sceneObject.getComponent("Physics.ColliderComponent") : null;
+	if (collider) {
+		var shape = Shape.createMeshShape();
+		shape.mesh = meshVisual.mesh;
+		shape.convex = true;
+		collider.fitVisual = false;
+		collider.shape = shape;
+	}
+}
+
+/**
+ * Gets the hex prism mesh, building it on first use (internal helper)
+ * A pointy-top hexagon 1 unit across its flat sides and 1 unit tall, centered on the origin,
+ * so it scales to a tile like the unit box of the square prefabs
+ * @returns {RenderMesh} Hex prism mesh
+ */
+function getHexMesh() {
+	if (hexMesh) return hexMesh;
+
+	var builder = new MeshBuilder([
+		{ name: "position", components: 3 },
+		{ name: "normal", components: 3, normalized: true },
+		{ name: "texture0", components: 2 },
+	]);
+	builder.topology = MeshTopology.Triangles;
+	builder.indexType = MeshIndexType.UInt16;
+
+	// Corners 30 + 60i degrees around, so one points along +Z and the sides facing X are flat
+	var radius = 1 / Math.sqrt(3);
+	var corners = [];
+	for (var i = 0; i < 6; i++) {
+		var angle = ((30 + 60 * i) * Math.PI) / 180;
+		corners.push({ x: radius * Math.cos(angle), z: radius * Math.sin(angle) });
+	}
+
+	var vertexCount = 0;
+	function addVertex(x, y, z, normal) {
+		builder.appendVerticesInterleaved([x, y, z, normal.x, normal.y, normal.z, x + 0.5, z + 0.5]);
+		return vertexCount++;
+	}
+
+	// Top and bottom faces, fanned out from their centers
+	var faces = [
+		{ y: 0.5, normal: new vec3(0, 1, 0) },
+		{ y: -0.5, normal: new vec3(0, -1, 0) },
+	];
+	for (var f = 0; f < faces.length; f++) {
+		var center = addVertex(0, faces[f].y, 0, faces[f].normal);
+		for (var c = 0; c < 6; c++) {
+			addVertex(corners[c].x, faces[f].y, corners[c].z, faces[f].normal);
+		}
+		for (var t = 0; t < 6; t++) {
+			var current = center + 1 + t;
+			var next = center + 1 + ((t + 1) % 6);
+			// Counter-clockwise seen from outside the face
+			if (faces[f].y > 0) {
+				builder.appendIndices([center, next, current]);
+			} else {
+				builder.appendIndices([center, current, next]);
+			}
+		}
+	}
+
+	// Sides, one quad per edge facing out from its middle
+	for (var e = 0; e < 6; e++) {
+		var a = corners[e];
+		var b = corners[(e + 1) % 6];
+		var sideAngle = ((60 + 60 * e) * Math.PI) / 180;
+		var sideNormal = new vec3(Math.cos(sideAngle), 0, Math.sin(sideAngle));
+		var bottomA = addVertex(a.x, -0.5, a.z, sideNormal);
+		var topA = addVertex(a.x, 0.5, a.z, sideNormal);
+		var topB = addVertex(b.x, 0.5, b.z, sideNormal);
+		var bottomB = addVertex(b.x, -0.5, b.z, sideNormal);
+		builder.appendIndices([bottomA, topA, topB, bottomA, topB, bottomB]);
+	}
+
+	builder.updateMesh();
+	hexMesh = builder.getMesh();
+	return hexMesh;
+}
+
 /**
  * Sets the color of a tile object
  * @param {SceneObject} tileObject - The tile to color
@@ -353,36 +611,344 @@ function clearGrid() {
 	gridConfig.tileObjects = [];
 	gridConfig.triggerObjects = [];
 	pathData.path = [];
+	pathData.seed = null;
+	pathData.hazards = [];
+	pathData.bonusTiles = [];
+	pathData.colorLayout = null;
+	pathData.paths = [];
+	pathData.selectedPath = 0;
 }
 
 /**
  * Generates a new random path
+ * The same seed on the same grid always produces the same path.
+ * The path is never shortened: if the requested length is impossible, no path is set.
+ * With extendFrom, the given path is kept and only new tiles are added to its end
+ * (the seed then picks the new tiles). If it can't grow from its end tile, no path is set either;
+ * the caller decides whether to try another seed or start a new path.
  * @param {number} pathLength - Desired path length
- * @returns {Array} The generated path
+ * @param {number} seed - Optional seed (a fresh one is picked when omitted)
+ * @param {Object} options - Optional settings { difficulty: target band {min, max}, diagonal: allow diagonal steps,
+ *   crossing: let the path cross itself, extendFrom: shorter path on this grid to grow (growing packs),
+ *   hazards: number of hazard tiles to place off the path, teleporters: number of teleporter pairs
+ *   (ignored when growing a path), doubleSteps: number of double-step tiles, bonusTiles: number of bonus tiles,
+ *   colors: paint the grid in this many colours for a colour-sequence level,
+ *   paths: reveal this many paths from the same start tile for a multi-path level (see selectPath) }
+ * @returns {Array} The generated path (the first one on multi-path levels), or null if no path of that length exists
+ *   (or extendFrom can't grow that far)
+ */
+function generateNewPath(pathLength, seed, options) {
+	if (seed === undefined || seed === null) {
+		seed = MathHelpers.generateSeed();
+	}
+	pathData.seed = seed >>> 0;
+	pathData.diagonal = !!(options && options.diagonal);
+	pathData.crossing = !!(options && options.crossing);
+
+	var random = MathHelpers.createSeededRandom(pathData.seed);
+	var generateOptions = {
+		random: random,
+		difficulty: options ? options.difficulty : null,
+		diagonal: pathData.diagonal,
+		crossing: pathData.crossing,
+		mask: gridConfig.mask,
+		topology: gridConfig.topology,
+	};
+
+	var path = null;
+	var extendFrom = options && options.extendFrom;
+	pathData.newTileIndex = 0;
+
+	if (extendFrom && extendFrom.length > 0) {
+		path = PathGenerator.extendPath(extendFrom, gridConfig.rows, gridConfig.columns, pathLength, generateOptions);
+		if (!path) {
+			print("GridManager: WARNING - the " + extendFrom.length + " tile path can't grow to " + pathLength + " tiles from its end tile (seed " + pathData.seed + ")");
+			pathData.path = [];
+			return null;
+		}
+		pathData.newTileIndex = extendFrom.length;
+	} else if (options && options.teleporters > 0) {
+		path = PathGenerator.generateTeleportPath(gridConfig.rows, gridConfig.columns, pathLength, options.teleporters, generateOptions);
+	} else {
+		path = PathGenerator.generatePathFromBottom(gridConfig.rows, gridConfig.columns, pathLength, generateOptions);
+	}
+
+	if (!path) {
+		print("GridManager: ERROR - no " + pathLength + " tile path fits this " + gridConfig.columns + "x" + gridConfig.rows + " grid (seed " + pathData.seed + ")");
+		pathData.path = [];
+		return null;
+	}
+
+	var paths = [path];
+	var pathCount = options && options.paths > 1 ? options.paths : 1;
+	while (paths.length < pathCount) {
+		var alternate = PathGenerator.generateAlternatePath(paths, gridConfig.rows, gridConfig.columns, pathLength, generateOptions);
+		if (!alternate) {
+			print("GridManager: WARNING - only " + paths.length + " of " + pathCount + " paths fit this grid apart from each other (seed " + pathData.seed + ")");
+			break;
+		}
+		paths.push(alternate);
+	}
+
+	applyPath(path);
+	applyPathChoices(paths);
+	applyHazards(options ? options.hazards : 0, random);
+	applySpecialTiles(options, random);
+	applyColorLayout(options ? options.colors : 0, random);
+
+	print("GridManager: " + (pathData.newTileIndex > 0 ? "Grew path to " : "Generated ") + pathData.path.length + " tile path (seed " + pathData.seed + ", difficulty " + pathData.difficulty.toFixed(2) + ")" + (paths.length > 1 ? " and " + (paths.length - 1) + " more to choose from" : "") + describeHazards());
+
+	return pathData.path;
+}
+
+/**
+ * Sets a hand-authored path (e.g. a fixed path from a level pack)
+ * @param {Array} path - Array of grid positions {x, z}, already validated for this grid
+ * @param {Object} options - Optional settings { diagonal: path may step diagonally, crossing: path may cross itself,
+ *   hazards: number of hazard tiles to place off the path, doubleSteps, bonusTiles, colors: see generateNewPath
+ *   (placed at random, there is no seed) }
+ * @returns {Array} The path, or null if it doesn't fit the grid
  */
-function generateNewPath(pathLength) {
-	pathData.path = PathGenerator.generatePathFromBottom(gridConfig.rows, gridConfig.columns, pathLength);
+function setPath(path, options) {
+	pathData.seed = null;
+	pathData.newTileIndex = 0;
+	pathData.diagonal = !!(options && options.diagonal);
+	pathData.crossing = !!(options && options.crossing);
+
+	for (var i = 0; i < path.length; i++) {
+		if (!isValidTilePosition(path[i].x, path[i].z)) {
+			print("GridManager: ERROR - fixed path tile " + i + " is not on this " + gridConfig.columns + "x" + gridConfig.rows + " grid");
+			pathData.path = [];
+			return null;
+		}
+	}
+
+	applyPath(path);
+	applyPathChoices([path]);
+	applyHazards(options ? options.hazards : 0);
+	applySpecialTiles(options);
+	applyColorLayout(options ? options.colors : 0);
+
+	print("GridManager: Set fixed " + pathData.path.length + " tile path (difficulty " + pathData.difficulty.toFixed(2) + ")" + describeHazards());
+
+	return pathData.path;
+}
 
-	print("GridManager: Requested " + pathLength + " tiles, generated " + pathData.path.length);
+/**
+ * Stores a path as the current path and marks its tiles (internal helper)
+ * @param {Array} path - Array of grid positions {x, z}
+ */
+function applyPath(path) {
+	pathData.path = path;
+	pathData.difficulty = PathGenerator.scorePathDifficulty(path, gridConfig.rows, gridConfig.columns, gridConfig);
 
 	// Mark tiles as path tiles
 	for (var i = 0; i < pathData.path.length; i++) {
 		var pos = pathData.path[i];
 		var tile = gridConfig.tiles[pos.z][pos.x];
-		tile.isPathTile = true;
-		tile.pathIndex = i;
+		tile.pathVisits++;
+
+		// A crossing path passes over some tiles twice: keep the first index
+		if (!tile.isPathTile) {
+			tile.isPathTile = true;
+			tile.pathIndex = i;
+		}
 
 		// Mark start and end
 		if (i === 0) {
 			tile.state = "start";
 		} else if (i === pathData.path.length - 1) {
 			tile.state = "end";
-		} else {
+		} else if (tile.pathIndex === i) {
 			tile.state = "path";
 		}
 	}
+}
 
-	return pathData.path;
+/**
+ * Stores the paths a multi-path level reveals and marks the tiles they share (internal helper)
+ * The first path stays the current path until selectPath picks the one to walk
+ * @param {Array} paths - Paths from the same start tile, the current path first
+ */
+function applyPathChoices(paths) {
+	pathData.paths = paths;
+	pathData.selectedPath = 0;
+	if (paths.length < 2) return;
+
+	for (var p = 0; p < paths.length; p++) {
+		for (var i = 0; i < paths[p].length; i++) {
+			var tile = gridConfig.tiles[paths[p][i].z][paths[p][i].x];
+			tile.revealedPaths++;
+			if (tile.state === "default") {
+				tile.state = "path";
+			}
+		}
+	}
+}
+
+/**
+ * Places hazard tiles off the current path and marks them (internal helper)
+ * They stay clear of the walk path too, so call setWalkMode before generating the path
+ * @param {number} count - Number of hazard tiles (0 or missing = none)
+ * @param {Function} random - Optional PRNG, so a seeded path also gets the same hazards
+ */
+function applyHazards(count, random) {
+	pathData.hazards = [];
+	if (!(count > 0) || pathData.path.length === 0) return;
+
+	pathData.hazards = PathGenerator.placeHazards(pathData.path, gridConfig.rows, gridConfig.columns, count, {
+		random: random,
+		mask: gridConfig.mask,
+		topology: gridConfig.topology,
+		keepClear: [getWalkPath()],
+	});
+
+	for (var i = 0; i < pathData.hazards.length; i++) {
+		var tile = gridConfig.tiles[pathData.hazards[i].z][pathData.hazards[i].x];
+		tile.isHazard = true;
+		tile.state = "hazard";
+	}
+}
+
+/**
+ * Marks the special tiles of the current path (internal helper)
+ * Teleporters come from the path itself (its jumps); double-step and bonus tiles are placed here
+ * @param {Object} options - generateNewPath/setPath options (doubleSteps, bonusTiles)
+ * @param {Function} random - Optional PRNG, so a seeded path also gets the same tiles
+ */
+function applySpecialTiles(options, random) {
+	var layout = { diagonal: pathData.diagonal, topology: gridConfig.topology };
+	var jumps = PathGenerator.getTeleportSteps(pathData.path, layout);
+
+	for (var i = 0; i < jumps.length; i++) {
+		var from = pathData.path[jumps[i] - 1];
+		var to = pathData.path[jumps[i]];
+		setTileBehavior(from, Constants.TileBehavior.TELEPORT).teleportPair = to;
+		setTileBehavior(to, Constants.TileBehavior.TELEPORT).teleportPair = from;
+	}
+
+	var special = PathGenerator.placeSpecialTiles(
+		pathData.path,
+		gridConfig.rows,
+		gridConfig.columns,
+		{ doubleSteps: options ? options.doubleSteps : 0, bonusTiles: options ? options.bonusTiles : 0 },
+		{
+			random: random,
+			diagonal: pathData.diagonal,
+			mask: gridConfig.mask,
+			topology: gridConfig.topology,
+			keepClear: [getWalkPath()],
+			avoid: pathData.hazards,
+		}
+	);
+
+	for (var d = 0; d < special.doubleSteps.length; d++) {
+		setTileBehavior(special.doubleSteps[d], Constants.TileBehavior.DOUBLE_STEP);
+	}
+
+	pathData.bonusTiles = special.bonusTiles;
+	for (var b = 0; b < pathData.bonusTiles.length; b++) {
+		setTileBehavior(pathData.bonusTiles[b], Constants.TileBehavior.BONUS).state = "bonus";
+	}
+}
+
+/**
+ * Sets the behaviour of a tile (internal helper)
+ * @param {Object} pos - Grid position {x, z}
+ * @param {string} behavior - Constants.TileBehavior value
+ * @returns {Object} The tile data
+ */
+function setTileBehavior(pos, behavior) {
+	var tile = gridConfig.tiles[pos.z][pos.x];
+	tile.behavior = behavior;
+	return tile;
+}
+
+/**
+ * Gets the colour that marks a special tile (internal helper)
+ * @param {string} behavior - Constants.TileBehavior value
+ * @returns {vec4} Tile colour, or null for tiles without a behaviour
+ */
+function getBehaviorColor(behavior) {
+	var colors = Constants.GridConfig.COLORS;
+	switch (behavior) {
+		case Constants.TileBehavior.TELEPORT:
+			return colors.TILE_TELEPORT;
+		case Constants.TileBehavior.DOUBLE_STEP:
+			return colors.TILE_DOUBLE_STEP;
+		case Constants.TileBehavior.BONUS:
+			return colors.TILE_BONUS;
+		default:
+			return null;
+	}
+}
+
+/**
+ * Paints the grid in a colour layout for a colour-sequence level (internal helper)
+ * The colours of the path tiles, in path order, become the sequence to remember
+ * @param {number} count - Colours in play (0 or missing = not a colour-sequence level)
+ * @param {Function} random - Optional PRNG, so a seeded path also gets the same layout
+ */
+function applyColorLayout(count, random) {
+	pathData.colorLayout = null;
+	if (!(count > 0) || pathData.path.length === 0) return;
+
+	pathData.colorLayout = PathGenerator.generateColorLayout(gridConfig.rows, gridConfig.columns, count, {
+		random: random,
+		mask: gridConfig.mask,
+		topology: gridConfig.topology,
+	});
+
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			if (gridConfig.tiles[z][x]) {
+				gridConfig.tiles[z][x].colorId = pathData.colorLayout[z][x];
+			}
+		}
+	}
+}
+
+/**
+ * Paints every tile in its colour-sequence colour (internal helper)
+ * @param {number} alpha - Tile alpha 0-1
+ */
+function showColorLayout(alpha) {
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			var tileObject = gridConfig.tileObjects[z][x];
+			if (!tileObject) continue;
+
+			setTileColor(tileObject, Constants.GridConfig.COLORS.SEQUENCE[gridConfig.tiles[z][x].colorId]);
+			setTileAlpha(tileObject, alpha);
+		}
+	}
+}
+
+/**
+ * Describes the hazard count for path logs (internal helper)
+ * @returns {string} e.g. " with 3 hazards", or an empty string
+ */
+function describeHazards() {
+	return pathData.hazards.length > 0 ? " with " + pathData.hazards.length + " hazards" : "";
+}
+
+/**
+ * Shows the tiles that aren't part of the path memory: hazards in the wrong-step red
+ * and bonus tiles not yet collected. They stay visible from the start tile focus
+ * through the play phase (internal helper)
+ */
+function showLayoutTiles() {
+	var shown = pathData.hazards.concat(pathData.bonusTiles);
+
+	for (var i = 0; i < shown.length; i++) {
+		var pos = shown[i];
+		var tile = gridConfig.tiles[pos.z][pos.x];
+		if (tile.state !== "hazard" && tile.state !== "bonus") continue;
+
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		setTileColor(tileObject, tile.isHazard ? Constants.GridConfig.COLORS.TILE_WRONG : getBehaviorColor(tile.behavior));
+		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+	}
 }
 
 /**
@@ -391,20 +957,34 @@ function generateNewPath(pathLength) {
  * @param {boolean} withArrows - Whether to show direction arrows (default: true)
  */
 function revealPath(withArrows) {
+	// Collect-all levels have no order, so no end tile, crossings or arrows
+	var ordered = !pathData.collectAll;
+
 	// Default to showing arrows if not specified
-	var showArrows = withArrows !== false;
+	var showArrows = withArrows !== false && ordered;
 
 	pathData.isRevealed = true;
 
+	// Colour-sequence levels: the layout is the whole picture
+	if (pathData.colorLayout) {
+		showColorLayout(Constants.GridConfig.VISIBLE_ALPHA);
+		return;
+	}
+
 	for (var i = 0; i < pathData.path.length; i++) {
 		var pos = pathData.path[i];
 		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
 
-		// Start tile yellow, end tile blue, middle tiles green
+		// Start tile yellow, end tile blue, special tiles in their colour, crossings purple, middle tiles green
+		var behaviorColor = getBehaviorColor(gridConfig.tiles[pos.z][pos.x].behavior);
 		if (i === 0) {
 			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_START);
-		} else if (i === pathData.path.length - 1) {
+		} else if (ordered && i === pathData.path.length - 1) {
 			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_END);
+		} else if (behaviorColor) {
+			setTileColor(tileObject, behaviorColor);
+		} else if (ordered && gridConfig.tiles[pos.z][pos.x].pathVisits > 1) {
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_CROSSING);
 		} else {
 			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_PATH);
 		}
@@ -415,57 +995,65 @@ function revealPath(withArrows) {
 			showArrowOnTile(tileObject, pos, nextPos);
 		}
 	}
+
+	showLayoutTiles();
 }
 
 /**
- * Hides the path (returns middle tiles to default, keeps start/end visible)
- * Start and end tiles stay yellow so player knows where to begin and finish
+ * Reveals every target tile at once (collect-all levels, where order doesn't matter)
+ * The start tile stays yellow to show where to step onto the grid
+ * @param {Function} onComplete - Callback once the tiles are shown
  */
-function hidePath() {
-	pathData.isRevealed = false;
-
-	// Reset all tiles to default
-	for (var z = 0; z < gridConfig.rows; z++) {
-		for (var x = 0; x < gridConfig.columns; x++) {
-			var tileObject = gridConfig.tileObjects[z][x];
-			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_DEFAULT);
-		}
-	}
+function revealTargets(onComplete) {
+	revealPath(false);
 
-	// Keep start and end tiles visible in yellow
-	if (pathData.path.length > 0) {
-		var startPos = pathData.path[0];
-		var endPos = pathData.path[pathData.path.length - 1];
+	var revealed = {};
+	for (var i = 0; i < pathData.path.length; i++) {
+		var pos = pathData.path[i];
+		var key = pos.x + "," + pos.z;
+		if (revealed[key]) continue;
+		revealed[key] = true;
 
-		var startTile = gridConfig.tileObjects[startPos.z][startPos.x];
-		var endTile = gridConfig.tileObjects[endPos.z][endPos.x];
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+		AnimationManager.bounceReveal(tileObject, {
+			endScale: tileObject.getTransform().getLocalScale(),
+			duration: 0.4,
+			overshoot: 1.2,
+		});
+	}
 
-		setTileColor(startTile, Constants.GridConfig.COLORS.TILE_START);
-		setTileColor(endTile, Constants.GridConfig.COLORS.TILE_END);
+	if (global.PathFinder && global.PathFinder.Audio) {
+		global.PathFinder.Audio.playStep(1);
 	}
 
-	// Hide all direction arrows
-	hideAllArrows();
+	var completeDelay = script.createEvent("DelayedCallbackEvent");
+	completeDelay.bind(function () {
+		if (onComplete) onComplete();
+	});
+	completeDelay.reset(Constants.IntroConfig.POST_REVEAL_DELAY);
 }
 
 /**
- * Reveals the path sequentially, one tile at a time
- * Start tile is already visible - this reveals the rest progressively
- * @param {Function} onComplete - Callback when all tiles are revealed
+ * Shows the sequence of a colour-sequence level: the colour layout stays dimmed
+ * and, one step at a time, every tile of the next colour in the sequence lights up
+ * Lighting all tiles of a colour keeps the task about colours, not positions
+ * @param {Function} onComplete - Callback once the whole sequence has been shown
+ * @param {Object} options - Optional settings { flashDelay: seconds per colour (default TILE_REVEAL_DELAY) }
  */
-function revealPathSequential(onComplete) {
-	if (pathData.path.length === 0) {
-		if (onComplete) onComplete();
-		return;
-	}
+function revealColorSequence(onComplete, options) {
+	var sequence = getColorSequence();
+	var delay = options && options.flashDelay > 0 ? options.flashDelay : Constants.IntroConfig.TILE_REVEAL_DELAY;
+	var currentIndex = 0;
 
 	pathData.isRevealed = true;
-	var currentIndex = 0;
-	var delay = Constants.IntroConfig.TILE_REVEAL_DELAY;
+	showColorLayout(Constants.GridConfig.DIMMED_ALPHA);
 
-	function revealNextTile() {
-		if (currentIndex >= pathData.path.length) {
-			// All tiles revealed - brief delay then complete
+	function flashNextColor() {
+		showColorLayout(Constants.GridConfig.DIMMED_ALPHA);
+
+		if (currentIndex >= sequence.length) {
+			// Whole sequence shown - brief delay then complete
 			var completeDelay = script.createEvent("DelayedCallbackEvent");
 			completeDelay.bind(function () {
 				if (onComplete) onComplete();
@@ -474,33 +1062,196 @@ function revealPathSequential(onComplete) {
 			return;
 		}
 
-		var pos = pathData.path[currentIndex];
-		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		for (var z = 0; z < gridConfig.rows; z++) {
+			for (var x = 0; x < gridConfig.columns; x++) {
+				var tileObject = gridConfig.tileObjects[z][x];
+				if (!tileObject || gridConfig.tiles[z][x].colorId !== sequence[currentIndex]) continue;
 
-		// Set color based on tile type
-		if (currentIndex === 0) {
-			// Start tile - yellow
-			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_START);
-		} else if (currentIndex === pathData.path.length - 1) {
-			// End tile - blue
-			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_END);
-		} else {
-			// Path tile - green
-			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_PATH);
+				setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+				AnimationManager.pulse(tileObject, { duration: Math.min(0.4, delay * 0.8) });
+			}
 		}
-		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
-
-		// Store the target scale before animation
-		var targetScale = tileObject.getTransform().getLocalScale();
 
-		// Animate tile with bounce-out effect
-		AnimationManager.bounceReveal(tileObject, {
-			endScale: targetScale,
-			duration: 0.4,
-			overshoot: 1.2,
-		});
-
-		// Play progressive step sound during reveal
+		// Play progressive step sound for each colour
+		if (global.PathFinder && global.PathFinder.Audio) {
+			global.PathFinder.Audio.playStep(currentIndex + 1);
+		}
+
+		currentIndex++;
+
+		var delayEvent = script.createEvent("DelayedCallbackEvent");
+		delayEvent.bind(flashNextColor);
+		delayEvent.reset(delay);
+	}
+
+	flashNextColor();
+}
+
+/**
+ * Reveals the whole path at once with its step numbers (1..N) on the tiles,
+ * instead of revealing it tile by tile (number-order levels)
+ * A tile a crossing path passes over twice shows both numbers.
+ * Tile prefabs without a 'Label' child fall back to direction arrows.
+ * @param {Function} onComplete - Callback once the path is shown
+ */
+function revealPathNumbers(onComplete) {
+	var startPos = pathData.path.length > 0 ? pathData.path[0] : null;
+	var hasLabels = startPos !== null && getTileLabel(gridConfig.tileObjects[startPos.z][startPos.x]) !== null;
+	if (startPos && !hasLabels) {
+		print("GridManager: WARNING - the tile prefab has no 'Label' child with a Text3D, showing arrows instead of numbers");
+	}
+
+	revealPath(!hasLabels);
+
+	var numbers = {};
+	var order = [];
+	for (var i = 0; i < pathData.path.length; i++) {
+		var key = pathData.path[i].x + "," + pathData.path[i].z;
+		if (!numbers[key]) {
+			numbers[key] = [];
+			order.push(pathData.path[i]);
+		}
+		numbers[key].push(i + 1);
+	}
+
+	for (var j = 0; j < order.length; j++) {
+		var pos = order[j];
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		showTileLabel(pos.x, pos.z, numbers[pos.x + "," + pos.z].join(", "));
+		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+		AnimationManager.bounceReveal(tileObject, {
+			endScale: tileObject.getTransform().getLocalScale(),
+			duration: 0.4,
+			overshoot: 1.2,
+		});
+	}
+
+	if (global.PathFinder && global.PathFinder.Audio) {
+		global.PathFinder.Audio.playStep(1);
+	}
+
+	var completeDelay = script.createEvent("DelayedCallbackEvent");
+	completeDelay.bind(function () {
+		if (onComplete) onComplete();
+	});
+	completeDelay.reset(Constants.IntroConfig.POST_REVEAL_DELAY);
+}
+
+/**
+ * Hides the path (returns middle tiles to default, keeps start/end visible)
+ * Start and end tiles stay yellow so player knows where to begin and finish
+ */
+function hidePath() {
+	pathData.isRevealed = false;
+
+	// Colour-sequence levels play on the colour layout, with no start or end tile to show
+	if (pathData.colorLayout) {
+		showColorLayout(Constants.GridConfig.VISIBLE_ALPHA);
+		hideAllArrows();
+		hideAllLabels();
+		return;
+	}
+
+	// Reset all tiles to default
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			var tileObject = gridConfig.tileObjects[z][x];
+			if (tileObject) {
+				setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_DEFAULT);
+			}
+		}
+	}
+
+	// Keep the tiles the player walks from and to visible (yellow start, blue end)
+	var walkPath = getWalkPath();
+	if (walkPath.length > 0) {
+		var startPos = walkPath[0];
+		var endPos = walkPath[walkPath.length - 1];
+
+		var startTile = gridConfig.tileObjects[startPos.z][startPos.x];
+		var endTile = gridConfig.tileObjects[endPos.z][endPos.x];
+
+		// Collect-all levels have no end tile to give away
+		if (!pathData.collectAll) {
+			setTileColor(endTile, Constants.GridConfig.COLORS.TILE_END);
+		}
+		setTileColor(startTile, Constants.GridConfig.COLORS.TILE_START);
+	}
+
+	showLayoutTiles();
+
+	// Hide all direction arrows and step numbers
+	hideAllArrows();
+	hideAllLabels();
+}
+
+/**
+ * Reveals the path sequentially, one tile at a time
+ * Start tile is already visible - this reveals the rest progressively
+ * @param {Function} onComplete - Callback when all tiles are revealed
+ * @param {Object} options - Optional settings { tileDelay: seconds between tiles (default TILE_REVEAL_DELAY),
+ *   fromIndex: reveal only the tiles from this index on, e.g. the tile a growing pack just added (default 0),
+ *   decoys: flash tiles off the path while it reveals, see flashDecoys }
+ */
+function revealPathSequential(onComplete, options) {
+	if (pathData.path.length === 0) {
+		if (onComplete) onComplete();
+		return;
+	}
+
+	pathData.isRevealed = true;
+	var currentIndex = options && options.fromIndex > 0 ? Math.min(options.fromIndex, pathData.path.length - 1) : 0;
+	var delay = options && options.tileDelay > 0 ? options.tileDelay : Constants.IntroConfig.TILE_REVEAL_DELAY;
+	showLayoutTiles();
+
+	if (options && options.decoys) {
+		flashDecoys(options.decoys, (pathData.path.length - currentIndex) * delay);
+	}
+
+	function revealNextTile() {
+		if (currentIndex >= pathData.path.length) {
+			// All tiles revealed - brief delay then complete
+			var completeDelay = script.createEvent("DelayedCallbackEvent");
+			completeDelay.bind(function () {
+				if (onComplete) onComplete();
+			});
+			completeDelay.reset(Constants.IntroConfig.POST_REVEAL_DELAY);
+			return;
+		}
+
+		var pos = pathData.path[currentIndex];
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+
+		// Set color based on tile type
+		if (currentIndex === 0) {
+			// Start tile - yellow
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_START);
+		} else if (currentIndex === pathData.path.length - 1) {
+			// End tile - blue
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_END);
+		} else if (getBehaviorColor(gridConfig.tiles[pos.z][pos.x].behavior)) {
+			// Teleporter or double-step tile - its own colour
+			setTileColor(tileObject, getBehaviorColor(gridConfig.tiles[pos.z][pos.x].behavior));
+		} else if (gridConfig.tiles[pos.z][pos.x].pathIndex < currentIndex) {
+			// Crossing path passing over the tile a second time - purple, bounced again below
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_CROSSING);
+		} else {
+			// Path tile - green
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_PATH);
+		}
+		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+
+		// Store the target scale before animation
+		var targetScale = tileObject.getTransform().getLocalScale();
+
+		// Animate tile with bounce-out effect
+		AnimationManager.bounceReveal(tileObject, {
+			endScale: targetScale,
+			duration: 0.4,
+			overshoot: 1.2,
+		});
+
+		// Play progressive step sound during reveal
 		if (global.PathFinder && global.PathFinder.Audio) {
 			global.PathFinder.Audio.playStep(currentIndex + 1);
 		}
@@ -523,6 +1274,154 @@ function revealPathSequential(onComplete) {
 	revealNextTile();
 }
 
+/**
+ * Flashes tiles off the path in a decoy colour at random moments while the path reveals
+ * (decoys modifier, internal helper). Only tiles with nothing to remember are used, so the
+ * start/end highlights, arrows, hazards and special tiles are never touched, and each tile
+ * gets its own colour back when its flash ends.
+ * Flash times and tiles come from the path's seed, so replaying a seed replays the decoys.
+ * @param {Object} decoys - Decoys modifier from the level pack { count: flashes,
+ *   duration: seconds each flash lasts (default DECOY_FLASH_DURATION), color: [r, g, b] 0-1 (default TILE_DECOY),
+ *   window: [from, to] part of the reveal the flashes start in (default DECOY_FLASH_WINDOW) }
+ * @param {number} revealTime - Seconds the path takes to reveal
+ */
+function flashDecoys(decoys, revealTime) {
+	var candidates = [];
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			var tile = gridConfig.tiles[z][x];
+			if (tile && !tile.isPathTile && tile.revealedPaths === 0 && !tile.isHazard && tile.behavior === Constants.TileBehavior.NONE) {
+				candidates.push({ x: x, z: z });
+			}
+		}
+	}
+	if (candidates.length === 0) return;
+
+	var duration = decoys.duration > 0 ? decoys.duration : Constants.IntroConfig.DECOY_FLASH_DURATION;
+	var flashWindow = decoys.window || Constants.IntroConfig.DECOY_FLASH_WINDOW;
+	var random = createPathRandom("decoys");
+	var color = decoys.color ? new vec4(decoys.color[0], decoys.color[1], decoys.color[2], Constants.GridConfig.VISIBLE_ALPHA) : Constants.GridConfig.COLORS.TILE_DECOY;
+	var lit = {};
+
+	function flashTile() {
+		// Skip the flash if the path was hidden meanwhile or every candidate is already lit
+		var free = candidates.filter(function (pos) {
+			return !lit[pos.x + "," + pos.z];
+		});
+		if (!pathData.isRevealed || free.length === 0) return;
+
+		var pos = free[Math.floor(random() * free.length)];
+		var key = pos.x + "," + pos.z;
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		var previousColor = getTileColor(tileObject);
+		if (!previousColor) return;
+
+		lit[key] = true;
+		setTileColor(tileObject, color);
+		AnimationManager.pulse(tileObject, { duration: Math.min(0.4, duration) });
+
+		var restoreEvent = script.createEvent("DelayedCallbackEvent");
+		restoreEvent.bind(function () {
+			lit[key] = false;
+			if (pathData.isRevealed) {
+				setTileColor(tileObject, previousColor);
+			}
+		});
+		restoreEvent.reset(duration);
+	}
+
+	for (var i = 0; i < decoys.count; i++) {
+		var flashEvent = script.createEvent("DelayedCallbackEvent");
+		flashEvent.bind(flashTile);
+		flashEvent.reset(revealTime * (flashWindow[0] + random() * (flashWindow[1] - flashWindow[0])));
+	}
+}
+
+/**
+ * Reveals every path of a multi-path level, one after the other, each in its own
+ * PATH_PALETTE colour. The shared start tile is yellow and each end tile blue.
+ * Tiles more than one path passes over are silver, pulse when a later path passes
+ * them again and get no arrow, since it could only point along one of the paths.
+ * @param {Function} onComplete - Callback when every path is revealed
+ * @param {Object} options - Optional settings { tileDelay: seconds between tiles (default TILE_REVEAL_DELAY) }
+ */
+function revealPathChoices(onComplete, options) {
+	var steps = [];
+	for (var p = 0; p < pathData.paths.length; p++) {
+		for (var i = 0; i < pathData.paths[p].length; i++) {
+			steps.push({ path: p, index: i });
+		}
+	}
+
+	if (steps.length === 0) {
+		if (onComplete) onComplete();
+		return;
+	}
+
+	pathData.isRevealed = true;
+	var delay = options && options.tileDelay > 0 ? options.tileDelay : Constants.IntroConfig.TILE_REVEAL_DELAY;
+	var currentStep = 0;
+	var revealed = {};
+
+	function revealNextTile() {
+		if (currentStep >= steps.length) {
+			// All paths revealed - brief delay then complete
+			var completeDelay = script.createEvent("DelayedCallbackEvent");
+			completeDelay.bind(function () {
+				if (onComplete) onComplete();
+			});
+			completeDelay.reset(Constants.IntroConfig.POST_REVEAL_DELAY);
+			return;
+		}
+
+		var step = steps[currentStep];
+		var path = pathData.paths[step.path];
+		var pos = path[step.index];
+		var key = pos.x + "," + pos.z;
+		var tileObject = gridConfig.tileObjects[pos.z][pos.x];
+		var shared = gridConfig.tiles[pos.z][pos.x].revealedPaths > 1;
+
+		if (step.index === 0) {
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_START);
+		} else if (step.index === path.length - 1) {
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_END);
+		} else if (shared) {
+			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_SHARED);
+		} else {
+			setTileColor(tileObject, Constants.GridConfig.COLORS.PATHS[Constants.GridConfig.PATH_PALETTE[step.path]]);
+		}
+		setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+
+		// A tile an earlier path already revealed pulses instead of bouncing in again
+		if (revealed[key]) {
+			AnimationManager.pulse(tileObject, { duration: Math.min(0.4, delay * 0.8) });
+		} else {
+			revealed[key] = true;
+			AnimationManager.bounceReveal(tileObject, {
+				endScale: tileObject.getTransform().getLocalScale(),
+				duration: 0.4,
+				overshoot: 1.2,
+			});
+		}
+
+		if (global.PathFinder && global.PathFinder.Audio) {
+			global.PathFinder.Audio.playStep(step.index + 1);
+		}
+
+		if (step.index < path.length - 1 && !shared) {
+			showArrowOnTile(tileObject, pos, path[step.index + 1]);
+		}
+
+		currentStep++;
+
+		var delayEvent = script.createEvent("DelayedCallbackEvent");
+		delayEvent.bind(revealNextTile);
+		delayEvent.reset(delay);
+	}
+
+	revealNextTile();
+}
+
 /**
  * Dims the grid (reduces alpha for all tiles)
  * Used before countdown
@@ -599,21 +1498,135 @@ function setTileAlpha(tileObject, alpha) {
 	}
 }
 
+/**
+ * Gets the colour of a single tile (internal helper)
+ * @param {SceneObject} tileObject - Tile to read
+ * @returns {vec4} RGBA colour, or null if the tile has no material
+ */
+function getTileColor(tileObject) {
+	var meshVisual = tileObject.getComponent("Component.RenderMeshVisual");
+	return meshVisual && meshVisual.mainPass ? meshVisual.mainPass.baseColor : null;
+}
+
+/**
+ * Gets the alpha of a single tile (internal helper)
+ * @param {SceneObject} tileObject - Tile to read
+ * @returns {number} Alpha value 0-1 (1 if the tile has no material)
+ */
+function getTileAlpha(tileObject) {
+	var color = getTileColor(tileObject);
+	return color ? color.a : 1;
+}
+
+/**
+ * Sets whether the play phase is fogged (fog levels)
+ * Turning fog on or off forgets what it hid; clearFog shows hidden tiles again
+ * @param {boolean} enabled - True for fog levels
+ */
+function setFog(enabled) {
+	pathData.fog = enabled === true;
+
+	for (var z = 0; z < gridConfig.tiles.length; z++) {
+		for (var x = 0; x < gridConfig.tiles[z].length; x++) {
+			if (gridConfig.tiles[z][x]) {
+				gridConfig.tiles[z][x].fogAlpha = null;
+			}
+		}
+	}
+}
+
+/**
+ * Fogs the grid around the player's tile: that tile and the tiles one step from it
+ * (diagonals included on square grids) keep their colour, every other tile fades to FOG_ALPHA
+ * Before the player is on the grid, only the start tile shows through.
+ * Call it on every tile the player enters; it does nothing on levels without fog.
+ * @param {Object} centerPos - The player's tile {x, z}, or null before the first step
+ */
+function updateFog(centerPos) {
+	if (!pathData.fog) return;
+
+	var inView = {};
+	var walkPath = getWalkPath();
+	if (centerPos) {
+		inView[centerPos.x + "," + centerPos.z] = true;
+		var neighbors = MathHelpers.getNeighbors(centerPos.x, centerPos.z, gridConfig.rows, gridConfig.columns, {
+			diagonal: !isHexGrid(),
+			mask: gridConfig.mask,
+			topology: gridConfig.topology,
+		});
+		for (var i = 0; i < neighbors.length; i++) {
+			inView[neighbors[i].x + "," + neighbors[i].z] = true;
+		}
+	} else if (walkPath.length > 0 && !pathData.colorLayout) {
+		inView[walkPath[0].x + "," + walkPath[0].z] = true;
+	}
+
+	var fogAlpha = Constants.GridConfig.FOG_ALPHA;
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			var tile = gridConfig.tiles[z][x];
+			var tileObject = gridConfig.tileObjects[z][x];
+			if (!tile || !tileObject) continue;
+
+			if (inView[x + "," + z]) {
+				if (tile.fogAlpha !== null) {
+					setTileAlpha(tileObject, tile.fogAlpha);
+					tile.fogAlpha = null;
+				}
+				continue;
+			}
+
+			// A hidden tile that was recoloured since (e.g. marked) is hidden again with its new alpha
+			var alpha = getTileAlpha(tileObject);
+			if (tile.fogAlpha === null || Math.abs(alpha - fogAlpha) > 0.001) {
+				tile.fogAlpha = alpha;
+				setTileAlpha(tileObject, fogAlpha);
+			}
+		}
+	}
+}
+
+/**
+ * Shows every tile fog has hidden again, with the alpha it had before
+ */
+function clearFog() {
+	for (var z = 0; z < gridConfig.rows; z++) {
+		for (var x = 0; x < gridConfig.columns; x++) {
+			var tile = gridConfig.tiles[z][x];
+			if (!tile || tile.fogAlpha === null) continue;
+
+			setTileAlpha(gridConfig.tileObjects[z][x], tile.fogAlpha);
+			tile.fogAlpha = null;
+		}
+	}
+}
+
 /**
  * Shows only the start tile brightly, keeps rest dimmed
  * This is the initial state after grid placement - creates focal point
+ * The start tile is where the player starts walking, so it follows the walk mode
  */
 function showOnlyStartTile() {
-	if (pathData.path.length === 0) return;
+	var walkPath = getWalkPath();
+	if (walkPath.length === 0) return;
+
+	// Colour-sequence levels start on any tile of the first colour: show the layout faintly instead
+	if (pathData.colorLayout) {
+		showColorLayout(Constants.GridConfig.DIMMED_ALPHA);
+		return;
+	}
 
 	// Dim entire grid
 	dimGridBackground();
 
 	// Show start tile bright yellow
-	var startPos = pathData.path[0];
+	var startPos = walkPath[0];
 	var startTile = gridConfig.tileObjects[startPos.z][startPos.x];
 	setTileColor(startTile, Constants.GridConfig.COLORS.TILE_START);
 	setTileAlpha(startTile, Constants.GridConfig.VISIBLE_ALPHA);
+
+	// Hazards are part of the layout, not the path: show them from the start
+	showLayoutTiles();
 }
 
 /**
@@ -621,10 +1634,11 @@ function showOnlyStartTile() {
  * Used during countdown to guide player attention
  */
 function showStartTileWithArrow() {
-	if (pathData.path.length < 2) return;
+	var walkPath = getWalkPath();
+	if (walkPath.length < 2 || pathData.collectAll || pathData.colorLayout || pathData.paths.length > 1) return;
 
-	var startPos = pathData.path[0];
-	var nextPos = pathData.path[1];
+	var startPos = walkPath[0];
+	var nextPos = walkPath[1];
 	var startTile = gridConfig.tileObjects[startPos.z][startPos.x];
 
 	// Show arrow on start tile pointing to next tile
@@ -640,8 +1654,27 @@ function getGridSize() {
 	return Math.max(gridConfig.columns, gridConfig.rows) * totalTileSize;
 }
 
+/**
+ * Gets the grid's width (side to side) and depth (away from the player) in centimeters
+ * @returns {Object} { width, depth }
+ */
+function getGridFootprint() {
+	var origin = new vec3(0, 0, 0);
+	var first = MathHelpers.gridToWorld(0, 0, origin, gridConfig.tileSize, gridConfig.tileGap, gridConfig.topology);
+	var last = MathHelpers.gridToWorld(gridConfig.columns - 1, gridConfig.rows - 1, origin, gridConfig.tileSize, gridConfig.tileGap, gridConfig.topology);
+
+	// Hex grids are half a tile wider, since odd rows are shifted right
+	var rowShift = isHexGrid() && gridConfig.rows > 1 ? (gridConfig.tileSize + gridConfig.tileGap) / 2 : 0;
+
+	return {
+		width: (gridConfig.columns - 1) * (gridConfig.tileSize + gridConfig.tileGap) + rowShift + gridConfig.tileSize,
+		depth: last.z - first.z + gridConfig.tileSize,
+	};
+}
+
 /**
  * Shows the arrow on a tile, rotated to point toward the next tile
+ * Works for all 8 square directions (diagonal steps get 45-degree arrows) and the 6 hex directions
  * @param {SceneObject} tileObject - The tile containing the arrow child
  * @param {Object} currentPos - Current tile position {x, z}
  * @param {Object} nextPos - Next tile position {x, z}
@@ -650,9 +1683,12 @@ function showArrowOnTile(tileObject, currentPos, nextPos) {
 	var arrowChild = findChildByName(tileObject, "Arrow");
 	if (!arrowChild) return;
 
-	// Calculate direction vector to next tile
-	var dx = nextPos.x - currentPos.x;
-	var dz = nextPos.z - currentPos.z;
+	// Calculate direction vector to next tile from the tile layout,
+	// so hex arrows point along the six hex directions
+	var currentLocal = getTileLocalPosition(currentPos.x, currentPos.z);
+	var nextLocal = getTileLocalPosition(nextPos.x, nextPos.z);
+	var dx = nextLocal.x - currentLocal.x;
+	var dz = nextLocal.z - currentLocal.z;
 
 	// Calculate Y rotation angle using atan2
 	// Use atan2(-dz, dx) to align with grid orientation where +Z is toward player
@@ -686,6 +1722,60 @@ function hideAllArrows() {
 	}
 }
 
+/**
+ * Gets the Text3D of a tile's 'Label' child (internal helper)
+ * @param {SceneObject} tileObject - The tile
+ * @returns {Component.Text3D} The label text, or null if the prefab has none
+ */
+function getTileLabel(tileObject) {
+	var labelChild = tileObject ? findChildByName(tileObject, "Label") : null;
+	return labelChild ? labelChild.getComponent("Component.Text3D") : null;
+}
+
+/**
+ * Shows a text label on a tile, e.g. its step number or a value at play time
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @param {string} text - Text to show (numbers are converted)
+ */
+function showTileLabel(gridX, gridZ, text) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var tileObject = gridConfig.tileObjects[gridZ][gridX];
+	var label = getTileLabel(tileObject);
+	if (!label) return;
+
+	label.text = String(text);
+	findChildByName(tileObject, "Label").enabled = true;
+}
+
+/**
+ * Hides the label on a tile
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function hideTileLabel(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var labelChild = findChildByName(gridConfig.tileObjects[gridZ][gridX], "Label");
+	if (labelChild) {
+		labelChild.enabled = false;
+	}
+}
+
+/**
+ * Hides the labels on all tiles
+ */
+function hideAllLabels() {
+	for (var z = 0; z < gridConfig.tileObjects.length; z++) {
+		for (var x = 0; x < gridConfig.tileObjects[z].length; x++) {
+			if (gridConfig.tileObjects[z][x]) {
+				hideTileLabel(x, z);
+			}
+		}
+	}
+}
+
 /**
  * Marks a tile as correctly stepped on
  * @param {number} gridX - Grid X coordinate
@@ -699,6 +1789,18 @@ function markTileCorrect(gridX, gridZ) {
 	setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_CORRECT);
 }
 
+/**
+ * Gives a tile a quick pulse without changing its colour
+ * Colour-sequence levels use it for correct steps, so the layout stays readable
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function pulseTile(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	AnimationManager.pulse(gridConfig.tileObjects[gridZ][gridX]);
+}
+
 /**
  * Marks a tile as incorrectly stepped on
  * @param {number} gridX - Grid X coordinate
@@ -707,23 +1809,101 @@ function markTileCorrect(gridX, gridZ) {
 function markTileWrong(gridX, gridZ) {
 	if (!isValidTilePosition(gridX, gridZ)) return;
 
+	var tile = gridConfig.tiles[gridZ][gridX];
 	var tileObject = gridConfig.tileObjects[gridZ][gridX];
-	gridConfig.tiles[gridZ][gridX].state = "wrong";
+
+	// Remember the tile as it was, in case the wrong step is forgiven (lives)
+	if (tile.state !== "wrong") {
+		var color = getTileColor(tileObject);
+		tile.beforeWrong = { state: tile.state, color: color ? new vec4(color.r, color.g, color.b, color.a) : null };
+	}
+
+	tile.state = "wrong";
 	setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_WRONG);
 }
 
+/**
+ * Puts a tile marked wrong back the way it was before (a wrong step the player had a life for)
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function revertTileWrong(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var tile = gridConfig.tiles[gridZ][gridX];
+	if (!tile.beforeWrong) return;
+
+	// Stepped on again since, and marked for that step instead
+	if (tile.state !== "wrong") {
+		tile.beforeWrong = null;
+		return;
+	}
+
+	tile.state = tile.beforeWrong.state;
+	if (tile.beforeWrong.color) {
+		setTileColor(gridConfig.tileObjects[gridZ][gridX], tile.beforeWrong.color);
+	}
+	tile.beforeWrong = null;
+}
+
+/**
+ * Highlights a tile the player is on but hasn't been confirmed on yet (dwell-time step confirmation)
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function showTilePending(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var tile = gridConfig.tiles[gridZ][gridX];
+	var tileObject = gridConfig.tileObjects[gridZ][gridX];
+	if (tile.pendingColor) return;
+
+	var color = getTileColor(tileObject);
+	if (!color) return;
+
+	tile.pendingColor = new vec4(color.r, color.g, color.b, color.a);
+	setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_PENDING);
+}
+
+/**
+ * Removes the pending highlight, putting back the colour the tile had before it
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function clearTilePending(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var tile = gridConfig.tiles[gridZ][gridX];
+	if (!tile.pendingColor) return;
+
+	setTileColor(gridConfig.tileObjects[gridZ][gridX], tile.pendingColor);
+	tile.pendingColor = null;
+}
+
 /**
  * Resets all tile states to default
  */
 function resetTileStates() {
-	// Hide all arrows first to ensure clean slate
+	// Hide all arrows and labels first to ensure clean slate
 	hideAllArrows();
+	hideAllLabels();
 
 	for (var z = 0; z < gridConfig.rows; z++) {
 		for (var x = 0; x < gridConfig.columns; x++) {
+			if (!gridConfig.tiles[z][x]) continue;
+
 			gridConfig.tiles[z][x].state = "default";
 			gridConfig.tiles[z][x].isPathTile = false;
 			gridConfig.tiles[z][x].pathIndex = -1;
+			gridConfig.tiles[z][x].pathVisits = 0;
+			gridConfig.tiles[z][x].isHazard = false;
+			gridConfig.tiles[z][x].behavior = Constants.TileBehavior.NONE;
+			gridConfig.tiles[z][x].teleportPair = null;
+			gridConfig.tiles[z][x].colorId = null;
+			gridConfig.tiles[z][x].revealedPaths = 0;
+			gridConfig.tiles[z][x].fogAlpha = null;
+			gridConfig.tiles[z][x].pendingColor = null;
+			gridConfig.tiles[z][x].beforeWrong = null;
 
 			var tileObject = gridConfig.tileObjects[z][x];
 			setTileColor(tileObject, Constants.GridConfig.COLORS.TILE_DEFAULT);
@@ -732,16 +1912,23 @@ function resetTileStates() {
 
 	pathData.path = [];
 	pathData.isRevealed = false;
+	pathData.seed = null;
+	pathData.newTileIndex = 0;
+	pathData.hazards = [];
+	pathData.bonusTiles = [];
+	pathData.colorLayout = null;
+	pathData.paths = [];
+	pathData.selectedPath = 0;
 }
 
 /**
- * Checks if grid coordinates are valid
+ * Checks if grid coordinates are valid (inside the grid and not masked out)
  * @param {number} gridX - X coordinate
  * @param {number} gridZ - Z coordinate
  * @returns {boolean} True if valid
  */
 function isValidTilePosition(gridX, gridZ) {
-	return MathHelpers.isValidGridPosition(gridX, gridZ, gridConfig.rows, gridConfig.columns);
+	return MathHelpers.isValidGridPosition(gridX, gridZ, gridConfig.rows, gridConfig.columns, gridConfig.mask);
 }
 
 /**
@@ -763,6 +1950,42 @@ function getPath() {
 	return pathData.path;
 }
 
+/**
+ * Gets the seed the current path was generated from
+ * @returns {number} Seed, or null if no path has been generated
+ */
+function getPathSeed() {
+	return pathData.seed;
+}
+
+/**
+ * Creates a PRNG for a random choice made after the path was generated, so replaying
+ * a seed replays the choice too. Each choice gets its own stream, so one drawing
+ * more numbers never changes another.
+ * @param {string} choice - Key of RANDOM_SALTS, e.g. "pathChoice"
+ * @returns {Function} PRNG returning [0, 1) (Math.random for paths without a seed, e.g. hand-authored ones)
+ */
+function createPathRandom(choice) {
+	if (pathData.seed === null) return Math.random;
+	return MathHelpers.createSeededRandom((pathData.seed ^ RANDOM_SALTS[choice]) >>> 0);
+}
+
+/**
+ * Gets the index of the first tile added when generateNewPath grew a path
+ * @returns {number} Index into getPath(), or 0 if the whole path is new
+ */
+function getNewTileIndex() {
+	return pathData.newTileIndex;
+}
+
+/**
+ * Gets the difficulty score of the current path
+ * @returns {number} Score between 0 (trivial) and 1 (brutal)
+ */
+function getPathDifficulty() {
+	return pathData.difficulty;
+}
+
 /**
  * Gets grid configuration
  * @returns {Object} Grid configuration
@@ -774,6 +1997,8 @@ function getGridConfig() {
 		tileSize: gridConfig.tileSize,
 		tileGap: gridConfig.tileGap,
 		origin: gridConfig.origin,
+		mask: gridConfig.mask,
+		topology: gridConfig.topology,
 	};
 }
 
@@ -786,12 +2011,177 @@ function isGridInitialized() {
 }
 
 /**
- * Gets the start position of the current path
+ * Sets how the player must walk the revealed path
+ * @param {string} walkMode - Constants.WalkMode value (default: forward)
+ */
+function setWalkMode(walkMode) {
+	pathData.walkMode = walkMode || Constants.WalkMode.FORWARD;
+}
+
+/**
+ * Sets whether the path is a set of targets the player may step on in any order
+ * @param {boolean} enabled - True for collect-all levels
+ */
+function setCollectAll(enabled) {
+	pathData.collectAll = enabled === true;
+}
+
+/**
+ * Gets whether the current level is a collect-all level
+ * @returns {boolean} True if path tiles may be stepped on in any order
+ */
+function isCollectAll() {
+	return pathData.collectAll;
+}
+
+/**
+ * Gets the hazard tiles of the current path
+ * @returns {Array} Hazard positions {x, z} (empty when the level has none)
+ */
+function getHazards() {
+	return pathData.hazards;
+}
+
+/**
+ * Checks if a tile is a hazard
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @returns {boolean} True if stepping on the tile fails the level
+ */
+function isHazardTile(gridX, gridZ) {
+	var tile = getTileAt(gridX, gridZ);
+	return tile !== null && tile.isHazard === true;
+}
+
+/**
+ * Gets the behaviour of a tile
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @returns {string} Constants.TileBehavior value (NONE for plain or invalid tiles)
+ */
+function getTileBehavior(gridX, gridZ) {
+	var tile = getTileAt(gridX, gridZ);
+	return tile ? tile.behavior : Constants.TileBehavior.NONE;
+}
+
+/**
+ * Lights a special tile up in its behaviour colour during play,
+ * e.g. a double-step tile after its first press or the far end of a teleporter
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function showTileBehavior(gridX, gridZ) {
+	var color = getBehaviorColor(getTileBehavior(gridX, gridZ));
+	if (!color) return;
+
+	var tileObject = gridConfig.tileObjects[gridZ][gridX];
+	setTileColor(tileObject, color);
+	setTileAlpha(tileObject, Constants.GridConfig.VISIBLE_ALPHA);
+}
+
+/**
+ * Checks if the current level is a colour-sequence level
+ * @returns {boolean} True if the grid is painted in a colour layout
+ */
+function isColorSequence() {
+	return pathData.colorLayout !== null;
+}
+
+/**
+ * Gets the colour id a tile is painted on a colour-sequence level
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @returns {string} Colour id, or null (other levels, invalid tiles)
+ */
+function getTileColorId(gridX, gridZ) {
+	var tile = getTileAt(gridX, gridZ);
+	return tile ? tile.colorId : null;
+}
+
+/**
+ * Gets the colour sequence to remember: the colours of the walk path tiles in order
+ * @returns {Array} Colour ids (empty on other levels)
+ */
+function getColorSequence() {
+	if (!pathData.colorLayout) return [];
+
+	var walkPath = getWalkPath();
+	var sequence = [];
+	for (var i = 0; i < walkPath.length; i++) {
+		sequence.push(pathData.colorLayout[walkPath[i].z][walkPath[i].x]);
+	}
+	return sequence;
+}
+
+/**
+ * Gets the bonus tiles of the current path
+ * @returns {Array} Bonus tile positions {x, z} (empty when the level has none)
+ */
+function getBonusTiles() {
+	return pathData.bonusTiles;
+}
+
+/**
+ * Gets how many paths were revealed (2+ on multi-path levels)
+ * @returns {number} Path count
+ */
+function getPathCount() {
+	return pathData.paths.length;
+}
+
+/**
+ * Gets the colour a path of a multi-path level is revealed in
+ * @param {number} index - Path index (0 = first path)
+ * @returns {string} Colour id from PATH_PALETTE
+ */
+function getPathColorId(index) {
+	return Constants.GridConfig.PATH_PALETTE[index];
+}
+
+/**
+ * Picks which revealed path the player walks on a multi-path level
+ * It becomes the current path, so getWalkPath and the start/end tiles follow it
+ * @param {number} index - Path index (0 = first path)
+ * @returns {boolean} True if the path exists
+ */
+function selectPath(index) {
+	if (!(index >= 0 && index < pathData.paths.length)) {
+		print("GridManager: ERROR - no path " + index + " to select, " + pathData.paths.length + " revealed");
+		return false;
+	}
+
+	pathData.selectedPath = index;
+	pathData.path = pathData.paths[index];
+	pathData.difficulty = PathGenerator.scorePathDifficulty(pathData.path, gridConfig.rows, gridConfig.columns, gridConfig);
+	return true;
+}
+
+/**
+ * Sets how far the walk path is turned from the revealed path (rotation levels)
+ * @param {number} rotation - Degrees clockwise: 0, 90, 180 or 270 (default 0)
+ */
+function setRotation(rotation) {
+	pathData.rotation = rotation || 0;
+}
+
+/**
+ * Gets the path in the order and orientation the player must walk it
+ * Same as getPath() in forward mode; reversed or mirrored, then rotated on rotation levels
+ * @returns {Array} Walk path array (a new array each call)
+ */
+function getWalkPath() {
+	var walkPath = PathGenerator.transformPath(pathData.path, pathData.walkMode, gridConfig.columns);
+	return pathData.rotation ? PathGenerator.rotatePath(walkPath, pathData.rotation, gridConfig.rows, gridConfig.columns) : walkPath;
+}
+
+/**
+ * Gets the position the player starts walking from (follows the walk mode)
  * @returns {Object} Start position {x, z} or null
  */
 function getPathStartPosition() {
-	if (pathData.path.length === 0) return null;
-	return pathData.path[0];
+	var walkPath = getWalkPath();
+	if (walkPath.length === 0) return null;
+	return walkPath[0];
 }
 
 /**
@@ -801,7 +2191,7 @@ function getPathStartPosition() {
 function getStartTileWorldPosition() {
 	if (!script.gridParent || pathData.path.length === 0) return null;
 
-	var startGridPos = pathData.path[0];
+	var startGridPos = getPathStartPosition();
 	var tileObject = gridConfig.tileObjects[startGridPos.z][startGridPos.x];
 
 	if (tileObject) {
@@ -821,15 +2211,13 @@ function getStartZoneWorldPosition() {
 
 	var startGridPos = getPathStartPosition();
 	if (!startGridPos) {
-		// If no path yet, use center of bottom edge
-		startGridPos = { x: Math.floor(gridConfig.columns / 2), z: 0 };
+		// If no path yet, use the anchored start tile
+		startGridPos = gridConfig.anchor || { x: Math.floor(gridConfig.columns / 2), z: gridConfig.rows - 1 };
 	}
 
-	// Get the world position of the start tile
-	var startTileWorld = MathHelpers.gridToWorld(startGridPos.x, startGridPos.z, gridConfig.origin, gridConfig.tileSize, gridConfig.tileGap);
-
-	// Offset backwards (negative Z) by the start zone offset
-	return new vec3(startTileWorld.x, startTileWorld.y, startTileWorld.z - Constants.PlayerConfig.START_ZONE_OFFSET);
+	// Step back from the start tile toward the player (+Z) by the start zone offset
+	var startTileLocal = getTileLocalPosition(startGridPos.x, startGridPos.z);
+	return localToWorld(new vec3(startTileLocal.x, startTileLocal.y, startTileLocal.z + Constants.PlayerConfig.START_ZONE_OFFSET));
 }
 
 /**
@@ -853,24 +2241,8 @@ function worldPositionToGrid(worldPos) {
 	var relativePos = new vec3(worldPos.x - parentWorldPos.x, worldPos.y - parentWorldPos.y, worldPos.z - parentWorldPos.z);
 	var localPos = invRot.multiplyVec3(relativePos);
 
-	// Calculate grid position from local coordinates
-	var totalTileSize = gridConfig.tileSize + gridConfig.tileGap;
-	var gridWidth = gridConfig.columns * totalTileSize - gridConfig.tileGap;
-	var offsetX = -gridWidth / 2;
-	var halfTile = gridConfig.tileSize / 2;
-	var startGridZ = gridConfig.rows - 1;
-
-	// X: reverse the centering offset
-	var adjustedX = localPos.x - offsetX;
-	var gridX = Math.floor(adjustedX / totalTileSize);
-
-	// Z: reverse the start-anchored positioning
-	// localZ = halfTile + (gridZ - startGridZ) * totalTileSize
-	// So: gridZ = startGridZ + floor((localZ - halfTile) / totalTileSize)
-	var adjustedZ = localPos.z - halfTile;
-	var gridZ = startGridZ + Math.floor(adjustedZ / totalTileSize);
-
-	return { x: gridX, z: gridZ };
+	// Calculate grid position from local coordinates (reverses getTileLocalPosition)
+	return MathHelpers.worldToGrid(localPos, getLayoutOrigin(), gridConfig.tileSize, gridConfig.tileGap, gridConfig.topology);
 }
 
 /**
@@ -889,6 +2261,24 @@ function onTriggerEntered(callback) {
 	onTriggerEnteredCallback = callback;
 }
 
+/**
+ * Re-arms a single tile's trigger so it fires again on the next entry
+ * Used when a trigger event was ignored (e.g. a tile brushed while cutting a corner)
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function resetTriggerAt(gridX, gridZ) {
+	if (!isValidTilePosition(gridX, gridZ)) return;
+
+	var triggerObject = gridConfig.triggerObjects[gridZ][gridX];
+	if (triggerObject) {
+		var triggerScript = triggerObject.getComponent("Component.ScriptComponent");
+		if (triggerScript && triggerScript.resetTrigger) {
+			triggerScript.resetTrigger();
+		}
+	}
+}
+
 /**
  * Resets all triggers so they can fire again
  * Call this when starting a new round
@@ -925,9 +2315,15 @@ function getTileWorldPosition(gridX, gridZ) {
 
 // Export functions on script (for SceneObject component scripts)
 script.initialize = initialize;
+script.setLayout = setLayout;
 script.generateNewPath = generateNewPath;
+script.setPath = setPath;
 script.revealPath = revealPath;
 script.revealPathSequential = revealPathSequential;
+script.revealTargets = revealTargets;
+script.revealColorSequence = revealColorSequence;
+script.revealPathNumbers = revealPathNumbers;
+script.revealPathChoices = revealPathChoices;
 script.hidePath = hidePath;
 script.dimGrid = dimGrid;
 script.showGrid = showGrid;
@@ -936,12 +2332,43 @@ script.setGridAlpha = setGridAlpha;
 script.dimGridBackground = dimGridBackground;
 script.showOnlyStartTile = showOnlyStartTile;
 script.showStartTileWithArrow = showStartTileWithArrow;
+script.setFog = setFog;
+script.updateFog = updateFog;
+script.clearFog = clearFog;
 script.getGridSize = getGridSize;
+script.getGridFootprint = getGridFootprint;
 script.markTileCorrect = markTileCorrect;
 script.markTileWrong = markTileWrong;
+script.revertTileWrong = revertTileWrong;
+script.showTilePending = showTilePending;
+script.clearTilePending = clearTilePending;
+script.pulseTile = pulseTile;
+script.showTileLabel = showTileLabel;
+script.hideTileLabel = hideTileLabel;
+script.hideAllLabels = hideAllLabels;
 script.resetTileStates = resetTileStates;
 script.getTileAt = getTileAt;
 script.getPath = getPath;
+script.getPathCount = getPathCount;
+script.getPathColorId = getPathColorId;
+script.selectPath = selectPath;
+script.setWalkMode = setWalkMode;
+script.setRotation = setRotation;
+script.getWalkPath = getWalkPath;
+script.setCollectAll = setCollectAll;
+script.isCollectAll = isCollectAll;
+script.getHazards = getHazards;
+script.isHazardTile = isHazardTile;
+script.getTileBehavior = getTileBehavior;
+script.showTileBehavior = showTileBehavior;
+script.getBonusTiles = getBonusTiles;
+script.isColorSequence = isColorSequence;
+script.getTileColorId = getTileColorId;
+script.getColorSequence = getColorSequence;
+script.getPathSeed = getPathSeed;
+script.createPathRandom = createPathRandom;
+script.getNewTileIndex = getNewTileIndex;
+script.getPathDifficulty = getPathDifficulty;
 script.getGridConfig = getGridConfig;
 script.isGridInitialized = isGridInitialized;
 script.getPathStartPosition = getPathStartPosition;
@@ -953,6 +2380,7 @@ script.getGridParent = getGridParent;
 script.getTileWorldPosition = getTileWorldPosition;
 script.onTriggerEntered = onTriggerEntered;
 script.resetTriggers = resetTriggers;
+script.resetTriggerAt = resetTriggerAt;
 
 // Initialize idle pulse animation loop
 setupIdlePulseUpdate();
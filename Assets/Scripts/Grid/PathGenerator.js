@@ -1,130 +1,536 @@
 // PathGenerator.js
 // Generates random walkable paths on the grid
 
+var Constants = require("../Utils/Constants");
 var MathHelpers = require("../Utils/MathHelpers");
 
+// Upper bound on search steps per start tile, so a pathological request can't freeze the lens
+var MAX_SEARCH_NODES = 200000;
+
+// Candidate paths sampled when looking for one inside a difficulty band
+var DIFFICULTY_SAMPLES = 40;
+
+// Extra tiles extendPath tries to leave room for, so a growing path doesn't box its end in
+var GROW_LOOKAHEAD = 8;
+
+// Times a crossing path may pass over the same tile
+var MAX_TILE_VISITS = 2;
+
+// Teleporter paths: shortest walk between jumps
+var MIN_TELEPORT_WALK = 2;
+
+// Candidate paths sampled when looking for a second path that overlaps the first one least
+var ALTERNATE_PATH_SAMPLES = 12;
+
+// How much each path feature contributes to the difficulty score (sums to 1)
+var DIFFICULTY_WEIGHTS = {
+	turns: 0.35, // Share of steps that change direction
+	zigzag: 0.15, // Turns that flip left/right instead of spiralling one way
+	shortRuns: 0.2, // Short straight runs are harder to chunk than long ones
+	asymmetry: 0.1, // Mirror-symmetric paths are easier to recall
+	interior: 0.2, // Paths hugging the grid edge use the border as a landmark
+};
+
 /**
  * PathGenerator handles creation of random valid paths on the grid
- * Paths are connected sequences of tiles with orthogonal movement only
+ * Paths are connected sequences of tiles with orthogonal movement,
+ * or 8-connected movement (diagonals too) when the diagonal option is set
+ * On hex grids every step goes to one of the 6 touching tiles
+ * A tile mask removes tiles from the grid; paths route around the holes
+ * With the crossing option a path may pass over a tile twice (crossing itself),
+ * but never steps straight back and never returns to its start tile
+ * Paths always have exactly the requested length, or generation fails with null
  */
 
 /**
- * Generates a random path on the grid
- * Retries up to MAX_RETRIES times if the path is shorter than requested
+ * Generates a random path of exactly the requested length
+ * Uses a randomized depth-first search with backtracking, so a path is always
+ * found when one exists on the grid, including full-grid (Hamiltonian) paths.
+ * When a difficulty band is given, candidates are sampled until one scores inside it
+ * (falling back to the closest candidate if none of DIFFICULTY_SAMPLES does, or if the
+ * search gives up before then).
  * @param {number} rows - Number of rows in the grid
  * @param {number} columns - Number of columns in the grid
  * @param {number} pathLength - Desired length of the path
- * @param {Object} startPos - Optional starting position {x, z}, defaults to random edge
- * @returns {Array} Array of grid positions forming the path
+ * @param {Object} startPos - Optional starting position {x, z}, defaults to any cell (edges tried first)
+ * @param {Object} options - Optional settings:
+ *   random: PRNG returning [0, 1), defaults to Math.random
+ *   difficulty: target band {min, max} for scorePathDifficulty
+ *   diagonal: true to allow diagonal steps (default: orthogonal only, square grids only)
+ *   crossing: true to let the path cross itself (a tile may appear at two path indices)
+ *   mask: tile mask from MathHelpers.createGridMask (default: every tile exists)
+ *   topology: Constants.GridTopology value (default: square)
+ * @returns {Array} Array of grid positions forming the path, or null if no such path exists
  */
-function generatePath(rows, columns, pathLength, startPos) {
-	var maxPossibleLength = rows * columns;
-	pathLength = Math.min(pathLength, maxPossibleLength);
+function generatePath(rows, columns, pathLength, startPos, options) {
+	var random = getRandomSource(options);
+	var band = options && options.difficulty ? options.difficulty : null;
+	var grid = createGridInfo(rows, columns, options);
+
+	if (!band) {
+		return generateExactPath(grid, pathLength, startPos, random);
+	}
 
-	var MAX_RETRIES = 10;
 	var bestPath = null;
+	var bestDistance = Infinity;
+	var bestScore = 0;
 
-	for (var retry = 0; retry < MAX_RETRIES; retry++) {
-		var result = generatePathAttempt(rows, columns, pathLength, startPos);
+	for (var sample = 0; sample < DIFFICULTY_SAMPLES; sample++) {
+		var candidate = generateExactPath(grid, pathLength, startPos, random);
+		if (!candidate) break; // No path, or the search budget ran out: keep the closest so far
 
-		// Perfect length — use immediately
-		if (result.length >= pathLength) {
-			return result;
+		var score = scorePathDifficulty(candidate, rows, columns, grid);
+		var distance = Math.max(0, band.min - score, score - band.max);
+
+		if (distance === 0) {
+			return candidate;
 		}
 
-		// Keep the longest attempt so far
-		if (!bestPath || result.length > bestPath.length) {
-			bestPath = result;
+		if (distance < bestDistance) {
+			bestPath = candidate;
+			bestDistance = distance;
+			bestScore = score;
 		}
 	}
 
-	// All retries exhausted — return the longest path we found
-	print("PathGenerator: WARNING - requested " + pathLength + " tiles but best attempt was " + bestPath.length + " after " + MAX_RETRIES + " retries");
+	if (!bestPath) return null;
+
+	print("PathGenerator: WARNING - no " + pathLength + " tile path scored within " + band.min + "-" + band.max + " after " + sample + " samples, using closest (" + bestScore.toFixed(2) + ")");
 	return bestPath;
 }
 
 /**
- * Single attempt at generating a path (internal helper)
+ * Describes the grid a path is searched on (internal helper)
+ * Doubles as the options object for MathHelpers.getNeighbors
  * @param {number} rows - Grid rows
  * @param {number} columns - Grid columns
+ * @param {Object} options - Generation options (may be undefined)
+ * @returns {Object} { rows, columns, diagonal, crossing, mask, topology, tileCount }
+ */
+function createGridInfo(rows, columns, options) {
+	var mask = options && options.mask ? options.mask : null;
+	var topology = options && options.topology ? options.topology : Constants.GridTopology.SQUARE;
+	return {
+		rows: rows,
+		columns: columns,
+		// Hex tiles already touch six neighbors, there is no diagonal to add
+		diagonal: !!(options && options.diagonal) && topology !== Constants.GridTopology.HEX,
+		crossing: !!(options && options.crossing),
+		mask: mask,
+		topology: topology,
+		tileCount: MathHelpers.countGridTiles(rows, columns, mask),
+	};
+}
+
+/**
+ * Generates one random path of exactly the requested length (internal helper)
+ * Each start tile gets its own search budget; when it runs out, the next start tile is tried.
+ * @param {Object} grid - Grid description from createGridInfo
  * @param {number} pathLength - Desired length
  * @param {Object} startPos - Starting position (optional)
- * @returns {Array} Generated path (may be shorter than requested)
+ * @param {Function} random - PRNG returning [0, 1)
+ * @returns {Array} Generated path, or null if no start tile led to one within its budget
  */
-function generatePathAttempt(rows, columns, pathLength, startPos) {
-	if (!startPos) {
-		startPos = getRandomEdgePosition(rows, columns);
+function generateExactPath(grid, pathLength, startPos, random) {
+	var rows = grid.rows;
+	var columns = grid.columns;
+
+	if (pathLength < 1 || pathLength > grid.tileCount) {
+		print("PathGenerator: ERROR - a " + pathLength + " tile path cannot fit on a " + columns + "x" + rows + " grid with " + grid.tileCount + " tiles");
+		return null;
 	}
 
-	var path = [{ x: startPos.x, z: startPos.z }];
-	var visited = {};
-	visited[positionKey(startPos.x, startPos.z)] = true;
+	var starts = startPos ? [startPos] : getCandidateStarts(rows, columns, random, grid);
+	var exhaustedStarts = 0;
+
+	for (var i = 0; i < starts.length; i++) {
+		var result = findPathFrom(grid, pathLength, starts[i], random);
 
-	var attempts = 0;
-	var maxAttempts = pathLength * 100;
+		if (result.path) {
+			return result.path;
+		}
+
+		// Gave up on this start tile, another one may still have a path
+		if (result.exhaustedBudget) {
+			exhaustedStarts++;
+		}
+	}
 
-	while (path.length < pathLength && attempts < maxAttempts) {
-		var currentPos = path[path.length - 1];
-		var neighbors = MathHelpers.getNeighbors(currentPos.x, currentPos.z, rows, columns);
+	if (exhaustedStarts > 0) {
+		print("PathGenerator: ERROR - search budget of " + MAX_SEARCH_NODES + " steps exhausted on " + exhaustedStarts + " of " + starts.length + " start tiles looking for a " + pathLength + " tile path");
+		return null;
+	}
 
-		// Filter out already visited positions
-		var validNeighbors = neighbors.filter(function (neighbor) {
-			return !visited[positionKey(neighbor.x, neighbor.z)];
+	var from = startPos ? " from (" + startPos.x + "," + startPos.z + ")" : "";
+	print("PathGenerator: ERROR - no " + pathLength + " tile path exists" + from + " on a " + columns + "x" + rows + " grid");
+	return null;
+}
+
+/**
+ * Searches for a path of exactly pathLength tiles starting at startPos (internal helper)
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {number} pathLength - Desired length
+ * @param {Object} startPos - Starting position {x, z}
+ * @param {Function} random - PRNG returning [0, 1)
+ * @returns {Object} { path: Array or null, exhaustedBudget: boolean }
+ */
+function findPathFrom(grid, pathLength, startPos, random) {
+	if (!MathHelpers.isValidGridPosition(startPos.x, startPos.z, grid.rows, grid.columns, grid.mask)) {
+		return { path: null, exhaustedBudget: false };
+	}
+
+	// Diagonal steps keep their colour and hex tiles can't be 2-coloured,
+	// so the checkerboard bound only holds for orthogonal square paths that visit each tile once
+	if (!grid.diagonal && !grid.crossing && grid.topology !== Constants.GridTopology.HEX && !hasParityRoom(grid, pathLength, startPos)) {
+		return { path: null, exhaustedBudget: false };
+	}
+
+	var search = createSearch(grid, pathLength, random, [startPos]);
+
+	// A crossing path should really cross itself, unless it's too short or cramped to
+	search.requireCrossing = grid.crossing;
+	var found = searchPath(search);
+
+	if (!found && search.requireCrossing) {
+		search = createSearch(grid, pathLength, random, [startPos]);
+		found = searchPath(search);
+	}
+
+	return {
+		path: found ? search.path : null,
+		exhaustedBudget: !found && search.nodes >= MAX_SEARCH_NODES,
+	};
+}
+
+/**
+ * Builds the state for a path search that continues from an existing path (internal helper)
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {number} pathLength - Length the search must reach
+ * @param {Function} random - PRNG returning [0, 1)
+ * @param {Array} path - Tiles the path already holds (at least the start tile)
+ * @returns {Object} Search state for searchPath
+ */
+function createSearch(grid, pathLength, random, path) {
+	var search = {
+		grid: grid,
+		pathLength: pathLength,
+		random: random,
+		path: [],
+		visited: {}, // Position key -> 1-based index of the latest visit on the path
+		visits: {}, // Position key -> times the path passes over the tile
+		crossings: 0, // Steps that land on an already visited tile
+		requireCrossing: false, // Only accept paths with at least one crossing
+		nodes: 0,
+		// Near-full paths (Levels 10-11) paint themselves into corners easily.
+		// Warnsdorff's heuristic finds them fast; shorter paths stay purely random.
+		useWarnsdorff: pathLength >= Math.ceil(grid.tileCount * 0.9),
+	};
+
+	for (var i = 0; i < path.length; i++) {
+		var key = positionKey(path[i].x, path[i].z);
+		if (search.visited[key]) search.crossings++;
+
+		search.path.push({ x: path[i].x, z: path[i].z });
+		search.visited[key] = i + 1;
+		search.visits[key] = (search.visits[key] || 0) + 1;
+	}
+
+	return search;
+}
+
+/**
+ * Depth-first search step: extends search.path until it reaches the target length
+ * Unwinds its own changes when a branch fails, so the caller's state is untouched
+ * On teleporter searches (search.teleport) the path may also jump to a tile that
+ * doesn't touch its end, which ends one walk and starts the next.
+ * @param {Object} search - Search state built by findPathFrom
+ * @returns {boolean} True when search.path holds a complete path
+ */
+function searchPath(search) {
+	var teleport = search.teleport;
+	if (search.path.length >= search.pathLength) {
+		return (!teleport || teleport.jumps === teleport.splits.length) && (!search.requireCrossing || search.crossings > 0);
+	}
+	if (search.nodes >= MAX_SEARCH_NODES) return false;
+	search.nodes++;
+
+	var currentPos = search.path[search.path.length - 1];
+	var grid = search.grid;
+	var candidates = [];
+
+	if (!teleport || canWalkOn(search)) {
+		candidates = MathHelpers.getNeighbors(currentPos.x, currentPos.z, grid.rows, grid.columns, grid).filter(function (neighbor) {
+			return canStepOnto(search, neighbor) && !(grid.diagonal && crossesPath(currentPos, neighbor, search.visited));
 		});
 
-		if (validNeighbors.length === 0) {
-			// Dead end - backtrack or restart
-			if (path.length > 1) {
-				var removed = path.pop();
-				delete visited[positionKey(removed.x, removed.z)];
-			} else {
-				path = [];
-				visited = {};
-				startPos = getRandomEdgePosition(rows, columns);
-				path.push({ x: startPos.x, z: startPos.z });
-				visited[positionKey(startPos.x, startPos.z)] = true;
-			}
-			attempts++;
-			continue;
-		}
-
-		// For long paths (23+ tiles, Levels 10-11): use Warnsdorff's heuristic
-		// to prevent painting into corners on near-full-grid paths.
-		// For shorter paths: random shuffle for natural-looking variety.
-		var useWarnsdorff = pathLength >= 23;
-
-		if (useWarnsdorff) {
-			validNeighbors.sort(function (a, b) {
-				var aExits = countUnvisitedNeighbors(a.x, a.z, rows, columns, visited);
-				var bExits = countUnvisitedNeighbors(b.x, b.z, rows, columns, visited);
-				if (aExits !== bExits) return aExits - bExits;
-				return Math.random() - 0.5; // Random tiebreaker
-			});
+		// Shuffle first so ties are broken randomly (and reproducibly for a given seed)
+		MathHelpers.shuffleArray(candidates, search.random);
+
+		if (search.useWarnsdorff) {
+			candidates = sortByFewestExits(candidates, grid, search.visited);
+		}
+	}
+
+	// Jumps come first once the walk has reached its planned length, and after the steps before that
+	var landings = teleport && canJump(search) ? getLandingTiles(search) : [];
+	var jumpFirst = landings.length > 0 && search.path.length >= teleport.splits[teleport.jumps];
+	var moves = jumpFirst ? landings.concat(candidates) : candidates.concat(landings);
+
+	for (var i = 0; i < moves.length; i++) {
+		var nextPos = moves[i];
+		var key = positionKey(nextPos.x, nextPos.z);
+		var previousVisit = search.visited[key];
+		var isJump = jumpFirst ? i < landings.length : i >= candidates.length;
+		var previousWalkStart = isJump ? teleport.walkStart : 0;
+
+		if (isJump) {
+			teleport.jumps++;
+			teleport.walkStart = search.path.length;
+		}
+		search.path.push({ x: nextPos.x, z: nextPos.z });
+		search.visited[key] = search.path.length;
+		search.visits[key] = (search.visits[key] || 0) + 1;
+		if (previousVisit) search.crossings++;
+
+		// Prune branches that can no longer reach enough free tiles
+		// (crossing paths can reuse tiles, so the bound doesn't hold for them)
+		var remaining = getWalkTarget(search) - search.path.length;
+		if (grid.crossing || countReachableUnvisited(nextPos, grid, search.visited, remaining) >= remaining) {
+			if (searchPath(search)) return true;
+		}
+
+		search.path.pop();
+		search.visits[key]--;
+		if (previousVisit) {
+			search.visited[key] = previousVisit;
+			search.crossings--;
 		} else {
-			MathHelpers.shuffleArray(validNeighbors);
+			delete search.visited[key];
 		}
+		if (isJump) {
+			teleport.jumps--;
+			teleport.walkStart = previousWalkStart;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Gets the path length the walk in progress has to reach before the path may jump again
+ * (the whole path length once every jump is made, or on searches without teleporters)
+ * @param {Object} search - Search state built by createSearch
+ * @returns {number} Path length the walk must reach
+ */
+function getWalkTarget(search) {
+	var teleport = search.teleport;
+	if (!teleport || teleport.jumps >= teleport.splits.length) return search.pathLength;
+
+	return teleport.walkStart + MIN_TELEPORT_WALK;
+}
 
-		var nextPos = validNeighbors[0];
-		path.push({ x: nextPos.x, z: nextPos.z });
-		visited[positionKey(nextPos.x, nextPos.z)] = true;
+/**
+ * Checks if a teleporter path may take another step in the walk in progress
+ * A walk may run past its planned end, as long as the walks still to come keep
+ * MIN_TELEPORT_WALK tiles each
+ * @param {Object} search - Search state with a teleport plan
+ * @returns {boolean} True if the walk may go on
+ */
+function canWalkOn(search) {
+	var teleport = search.teleport;
+	var jumpsLeft = teleport.splits.length - teleport.jumps;
+	if (jumpsLeft === 0) return true;
+
+	return search.path.length + 1 <= search.pathLength - jumpsLeft * MIN_TELEPORT_WALK;
+}
+
+/**
+ * Checks if a teleporter path may jump from its end tile now
+ * The walk must be MIN_TELEPORT_WALK tiles long, and the free tiles must still hold
+ * the rest of the path (tiles cut off on their own can't be walked)
+ * @param {Object} search - Search state with a teleport plan
+ * @returns {boolean} True if the path may jump
+ */
+function canJump(search) {
+	var teleport = search.teleport;
+	if (teleport.jumps >= teleport.splits.length) return false;
+
+	var length = search.path.length;
+	if (length - teleport.walkStart < MIN_TELEPORT_WALK) return false;
+
+	return countWalkableUnvisited(search.grid, search.visited) >= search.pathLength - length;
+}
+
+/**
+ * Counts unvisited tiles in areas big enough for a walk of MIN_TELEPORT_WALK tiles
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {Object} visited - Map of visited positions
+ * @returns {number} Unvisited tile count
+ */
+function countWalkableUnvisited(grid, visited) {
+	var seen = {};
+	var total = 0;
+
+	for (var z = 0; z < grid.rows; z++) {
+		for (var x = 0; x < grid.columns; x++) {
+			var key = positionKey(x, z);
+			if (!MathHelpers.isValidGridPosition(x, z, grid.rows, grid.columns, grid.mask) || visited[key] || seen[key]) continue;
 
-		attempts++;
+			// Flood-fill this area so each one is counted once
+			var size = 0;
+			var queue = [{ x: x, z: z }];
+			seen[key] = true;
+			while (queue.length > 0) {
+				var pos = queue.shift();
+				var neighbors = MathHelpers.getNeighbors(pos.x, pos.z, grid.rows, grid.columns, grid);
+				size++;
+				for (var i = 0; i < neighbors.length; i++) {
+					var neighborKey = positionKey(neighbors[i].x, neighbors[i].z);
+					if (visited[neighborKey] || seen[neighborKey]) continue;
+					seen[neighborKey] = true;
+					queue.push(neighbors[i]);
+				}
+			}
+
+			if (size >= MIN_TELEPORT_WALK) total += size;
+		}
 	}
 
-	return path;
+	return total;
+}
+
+/**
+ * Lists the tiles a teleporter on the path's end tile may land on, in the order to try them
+ * Landing tiles must not touch the teleporter, even diagonally, or the jump is just a step
+ * @param {Object} search - Search state with a teleport plan
+ * @returns {Array} Grid positions {x, z}
+ */
+function getLandingTiles(search) {
+	var grid = search.grid;
+	var from = search.path[search.path.length - 1];
+	var landings = [];
+
+	for (var z = 0; z < grid.rows; z++) {
+		for (var x = 0; x < grid.columns; x++) {
+			var to = { x: x, z: z };
+			if (!MathHelpers.isValidGridPosition(x, z, grid.rows, grid.columns, grid.mask) || search.visited[positionKey(x, z)]) continue;
+			if (MathHelpers.isAdjacent(from, to, { diagonal: true, topology: grid.topology })) continue;
+			landings.push(to);
+		}
+	}
+
+	MathHelpers.shuffleArray(landings, search.random);
+
+	return search.useWarnsdorff ? sortByFewestExits(landings, grid, search.visited) : landings;
+}
+
+/**
+ * Checks if the path may step onto a tile next
+ * Unvisited tiles are always allowed. Crossing paths may also return to a tile
+ * they passed over once, but not the start tile and not the tile they just left.
+ * @param {Object} search - Search state built by createSearch
+ * @param {Object} pos - Candidate position {x, z}
+ * @returns {boolean} True if the step is allowed
+ */
+function canStepOnto(search, pos) {
+	var key = positionKey(pos.x, pos.z);
+	var visitIndex = search.visited[key];
+	if (!visitIndex) return true;
+	if (!search.grid.crossing) return false;
+
+	return visitIndex !== 1 && visitIndex !== search.path.length - 1 && search.visits[key] < MAX_TILE_VISITS;
+}
+
+/**
+ * Checks if a diagonal step would cut across an earlier diagonal step of the path
+ * Two diagonals forming an X are unreadable on the floor and impossible to walk apart
+ * @param {Object} from - Current position {x, z}
+ * @param {Object} to - Next position {x, z}
+ * @param {Object} visited - Map of position key to 1-based path index
+ * @returns {boolean} True if the step crosses the path
+ */
+function crossesPath(from, to, visited) {
+	if (from.x === to.x || from.z === to.z) return false;
+
+	// The other diagonal of this 2x2 block joins the two corner tiles
+	var cornerA = visited[positionKey(from.x, to.z)];
+	var cornerB = visited[positionKey(to.x, from.z)];
+	return !!cornerA && !!cornerB && Math.abs(cornerA - cornerB) === 1;
+}
+
+/**
+ * Counts unvisited tiles reachable from a position, stopping once the limit is reached
+ * @param {Object} fromPos - Position to flood-fill from {x, z}
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {Object} visited - Map of visited positions
+ * @param {number} limit - Count at which to stop early
+ * @returns {number} Reachable unvisited tile count (capped at limit)
+ */
+function countReachableUnvisited(fromPos, grid, visited, limit) {
+	if (limit <= 0) return 0;
+
+	var seen = {};
+	var queue = [fromPos];
+	var count = 0;
+
+	while (queue.length > 0) {
+		var pos = queue.shift();
+		var neighbors = MathHelpers.getNeighbors(pos.x, pos.z, grid.rows, grid.columns, grid);
+
+		for (var i = 0; i < neighbors.length; i++) {
+			var key = positionKey(neighbors[i].x, neighbors[i].z);
+			if (visited[key] || seen[key]) continue;
+
+			seen[key] = true;
+			count++;
+			if (count >= limit) return count;
+			queue.push(neighbors[i]);
+		}
+	}
+
+	return count;
+}
+
+/**
+ * Checks the checkerboard-colouring bound for a path
+ * Orthogonal steps always alternate colours, so a path of N tiles needs
+ * ceil(N/2) tiles of the start colour and floor(N/2) of the other.
+ * This rules out impossible requests (e.g. a full 7x7 path from an odd tile) instantly.
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {number} pathLength - Desired length
+ * @param {Object} startPos - Starting position {x, z}
+ * @returns {boolean} False if the colouring makes the path impossible
+ */
+function hasParityRoom(grid, pathLength, startPos) {
+	var startColour = (startPos.x + startPos.z) % 2;
+	var sameColourTiles = 0;
+	var otherColourTiles = 0;
+
+	for (var z = 0; z < grid.rows; z++) {
+		for (var x = 0; x < grid.columns; x++) {
+			if (!MathHelpers.isValidGridPosition(x, z, grid.rows, grid.columns, grid.mask)) continue;
+
+			if ((x + z) % 2 === startColour) {
+				sameColourTiles++;
+			} else {
+				otherColourTiles++;
+			}
+		}
+	}
+
+	return sameColourTiles >= Math.ceil(pathLength / 2) && otherColourTiles >= Math.floor(pathLength / 2);
 }
 
 /**
  * Counts unvisited neighbors of a position (used by Warnsdorff's heuristic)
  * @param {number} x - X coordinate
  * @param {number} z - Z coordinate
- * @param {number} rows - Grid rows
- * @param {number} columns - Grid columns
+ * @param {Object} grid - Grid description from createGridInfo
  * @param {Object} visited - Map of visited positions
  * @returns {number} Count of unvisited neighbors
  */
-function countUnvisitedNeighbors(x, z, rows, columns, visited) {
-	var neighbors = MathHelpers.getNeighbors(x, z, rows, columns);
+function countUnvisitedNeighbors(x, z, grid, visited) {
+	var neighbors = MathHelpers.getNeighbors(x, z, grid.rows, grid.columns, grid);
 	var count = 0;
 	for (var i = 0; i < neighbors.length; i++) {
 		if (!visited[positionKey(neighbors[i].x, neighbors[i].z)]) {
@@ -135,40 +541,140 @@ function countUnvisitedNeighbors(x, z, rows, columns, visited) {
 }
 
 /**
- * Gets a random position on the edge of the grid
- * Prefers corners and edges for natural starting points
+ * Orders neighbors by fewest unvisited exits (Warnsdorff's rule)
+ * Ties keep their incoming (shuffled) order. The comparator never depends on
+ * the engine's sort stability, so a seed yields the same path on every device.
+ * @param {Array} neighbors - Candidate positions, already shuffled
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {Object} visited - Map of visited positions
+ * @returns {Array} New array sorted by exit count
+ */
+function sortByFewestExits(neighbors, grid, visited) {
+	var ranked = neighbors.map(function (pos, order) {
+		return { pos: pos, exits: countUnvisitedNeighbors(pos.x, pos.z, grid, visited), order: order };
+	});
+
+	ranked.sort(function (a, b) {
+		if (a.exits !== b.exits) return a.exits - b.exits;
+		return a.order - b.order;
+	});
+
+	return ranked.map(function (entry) {
+		return entry.pos;
+	});
+}
+
+/**
+ * Gets every position on the edge of the grid
+ * With a mask, tiles bordering a hole count as edge tiles too
  * @param {number} rows - Number of rows
  * @param {number} columns - Number of columns
- * @returns {Object} Grid position {x, z}
+ * @param {Object} layout - Optional { mask, topology } (see generatePath options)
+ * @returns {Array} Edge positions {x, z}, each listed once
  */
-function getRandomEdgePosition(rows, columns) {
+function getEdgePositions(rows, columns, layout) {
 	var edges = [];
+	var seen = {};
+	var mask = layout ? layout.mask : null;
 
-	// Bottom edge (z = 0)
-	for (var x = 0; x < columns; x++) {
-		edges.push({ x: x, z: 0 });
+	if (mask) {
+		for (var maskZ = 0; maskZ < rows; maskZ++) {
+			for (var maskX = 0; maskX < columns; maskX++) {
+				if (MathHelpers.isValidGridPosition(maskX, maskZ, rows, columns, mask) && isEdgeTile(maskX, maskZ, rows, columns, layout)) {
+					edges.push({ x: maskX, z: maskZ });
+				}
+			}
+		}
+		return edges;
 	}
 
-	// Top edge (z = rows - 1)
-	for (var x = 0; x < columns; x++) {
-		edges.push({ x: x, z: rows - 1 });
+	function addEdge(x, z) {
+		var key = positionKey(x, z);
+		if (seen[key]) return;
+		seen[key] = true;
+		edges.push({ x: x, z: z });
 	}
 
-	// Left edge (x = 0), excluding corners already added
-	for (var z = 1; z < rows - 1; z++) {
-		edges.push({ x: 0, z: z });
+	// Bottom edge (z = 0) and top edge (z = rows - 1)
+	for (var x = 0; x < columns; x++) {
+		addEdge(x, 0);
+		addEdge(x, rows - 1);
 	}
 
-	// Right edge (x = columns - 1), excluding corners
-	for (var z = 1; z < rows - 1; z++) {
-		edges.push({ x: columns - 1, z: z });
+	// Left edge (x = 0) and right edge (x = columns - 1)
+	for (var z = 0; z < rows; z++) {
+		addEdge(0, z);
+		addEdge(columns - 1, z);
 	}
 
+	return edges;
+}
+
+/**
+ * Checks if a tile borders the outside of the grid or a masked-out hole
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {Object} layout - Optional { mask, topology } (see generatePath options)
+ * @returns {boolean} True if any orthogonal (or hex) neighbor is missing
+ */
+function isEdgeTile(x, z, rows, columns, layout) {
+	var options = { mask: layout ? layout.mask : null, topology: layout ? layout.topology : null };
+	return MathHelpers.getNeighbors(x, z, rows, columns, options).length < MathHelpers.getMaxNeighborCount(options);
+}
+
+/**
+ * Gets a random position on the edge of the grid
+ * Prefers corners and edges for natural starting points
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {Function} random - Optional PRNG returning [0, 1) (defaults to Math.random)
+ * @param {Object} layout - Optional { mask, topology } (see generatePath options)
+ * @returns {Object} Grid position {x, z}
+ */
+function getRandomEdgePosition(rows, columns, random, layout) {
+	var edges = getEdgePositions(rows, columns, layout);
+
 	// Pick random edge position
-	var index = MathHelpers.randomInt(0, edges.length - 1);
+	var index = MathHelpers.randomInt(0, edges.length - 1, random);
 	return edges[index];
 }
 
+/**
+ * Lists every cell as a possible start: edges first, then the interior, each group shuffled
+ * Edges stay preferred for natural starting points, but no start tile is ever ruled out
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {Function} random - PRNG returning [0, 1)
+ * @param {Object} layout - Optional { mask, topology } (see generatePath options)
+ * @returns {Array} Grid positions {x, z}
+ */
+function getCandidateStarts(rows, columns, random, layout) {
+	var mask = layout ? layout.mask : null;
+	var edges = MathHelpers.shuffleArray(getEdgePositions(rows, columns, layout), random);
+	var interior = [];
+
+	for (var z = 1; z < rows - 1; z++) {
+		for (var x = 1; x < columns - 1; x++) {
+			if (!mask || !isEdgeTile(x, z, rows, columns, layout)) {
+				interior.push({ x: x, z: z });
+			}
+		}
+	}
+
+	return edges.concat(MathHelpers.shuffleArray(interior, random));
+}
+
+/**
+ * Resolves the PRNG to use from generation options
+ * @param {Object} options - Generation options (may be undefined)
+ * @returns {Function} PRNG returning [0, 1)
+ */
+function getRandomSource(options) {
+	return options && options.random ? options.random : Math.random;
+}
+
 /**
  * Creates a unique string key for a grid position
  * Used for tracking visited positions
@@ -183,20 +689,14 @@ function positionKey(x, z) {
 /**
  * Validates that a path is continuous (each step is adjacent)
  * @param {Array} path - Array of grid positions
+ * @param {Object} options - Optional { diagonal, topology } (see generatePath options)
  * @returns {boolean} True if path is valid
  */
-function isValidPath(path) {
+function isValidPath(path, options) {
 	if (!path || path.length < 2) return true;
 
 	for (var i = 1; i < path.length; i++) {
-		var prev = path[i - 1];
-		var curr = path[i];
-
-		var dx = Math.abs(curr.x - prev.x);
-		var dz = Math.abs(curr.z - prev.z);
-
-		// Must be exactly one step in one direction (orthogonal only)
-		if (!((dx === 1 && dz === 0) || (dx === 0 && dz === 1))) {
+		if (!MathHelpers.isAdjacent(path[i - 1], path[i], options)) {
 			return false;
 		}
 	}
@@ -210,27 +710,397 @@ function isValidPath(path) {
  * @param {number} rows - Number of rows
  * @param {number} columns - Number of columns
  * @param {number} pathLength - Desired path length
- * @returns {Array} Path starting from center of near edge
+ * @param {Object} options - Optional settings, see generatePath
+ * @returns {Array} Path starting from center of near edge, or null if none exists
  */
-function generatePathFromBottom(rows, columns, pathLength) {
+function generatePathFromBottom(rows, columns, pathLength, options) {
+	var startPos = getNearEdgeStart(rows, columns, options && options.mask);
+	if (!startPos) {
+		print("PathGenerator: ERROR - the tile mask leaves no tiles to start on");
+		return null;
+	}
+	return generatePath(rows, columns, pathLength, startPos, options);
+}
+
+/**
+ * Grows an existing path by adding tiles to its end (growing packs)
+ * The existing tiles are kept as they are; only the new tail is searched for.
+ * The tail is searched up to GROW_LOOKAHEAD tiles longer than needed and then cut,
+ * so the new end tile still has room to grow in the rounds that follow.
+ * @param {Array} path - Path to grow, array of grid positions {x, z}
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {number} pathLength - Length of the grown path (longer than path)
+ * @param {Object} options - Optional settings, see generatePath (difficulty is ignored)
+ * @returns {Array} New path that starts with the old one, or null if it can't grow that far from its end tile
+ */
+function extendPath(path, rows, columns, pathLength, options) {
+	var grid = createGridInfo(rows, columns, options);
+	var currentLength = path ? path.length : 0;
+
+	if (currentLength === 0 || pathLength <= currentLength || pathLength > grid.tileCount) {
+		print("PathGenerator: ERROR - cannot grow a " + currentLength + " tile path to " + pathLength + " tiles on a " + columns + "x" + rows + " grid with " + grid.tileCount + " tiles");
+		return null;
+	}
+
+	var random = getRandomSource(options);
+
+	for (var target = Math.min(grid.tileCount, pathLength + GROW_LOOKAHEAD); target >= pathLength; target--) {
+		var search = createSearch(grid, target, random, path);
+
+		if (searchPath(search)) {
+			return search.path.slice(0, pathLength);
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Generates a path with teleporters: it is walked in teleporters + 1 pieces, and each piece
+ * ends on a teleporter tile whose partner (not touching it) starts the next piece
+ * The walks are planned to be the same length and are at least MIN_TELEPORT_WALK tiles each.
+ * The rest of the path is searched from the end of a first walk of the planned length;
+ * if it can't go on from there, the whole path is searched again from the start tile.
+ * Both searches backtrack over walks, split points and landing tiles, so a walk only ends
+ * away from its planned length when the path can't be finished otherwise.
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {number} pathLength - Desired path length, teleporter tiles included
+ * @param {number} teleporters - Number of teleporter pairs
+ * @param {Object} options - Optional settings, see generatePath (the difficulty band only applies to the first walk)
+ * @returns {Array} Path starting from the near edge, or null if none was found
+ */
+function generateTeleportPath(rows, columns, pathLength, teleporters, options) {
+	var walks = teleporters + 1;
+	if (pathLength < walks * MIN_TELEPORT_WALK) {
+		print("PathGenerator: ERROR - a " + pathLength + " tile path is too short for " + teleporters + " teleporters");
+		return null;
+	}
+
+	var grid = createGridInfo(rows, columns, options);
+	if (pathLength > grid.tileCount) {
+		print("PathGenerator: ERROR - a " + pathLength + " tile path cannot fit on a " + columns + "x" + rows + " grid with " + grid.tileCount + " tiles");
+		return null;
+	}
+
+	// Path lengths at which each walk is planned to end
+	var splits = [];
+	for (var t = 1; t <= teleporters; t++) {
+		splits.push(Math.round((pathLength * t) / walks));
+	}
+
+	var firstWalk = generatePathFromBottom(rows, columns, splits[0], options);
+	if (!firstWalk) return null;
+
+	var random = getRandomSource(options);
+	var path = findTeleportPath(grid, pathLength, splits, firstWalk, random) || findTeleportPath(grid, pathLength, splits, [firstWalk[0]], random);
+
+	if (!path) {
+		print("PathGenerator: ERROR - no " + pathLength + " tile path with " + teleporters + " teleporters found on a " + columns + "x" + rows + " grid");
+	}
+	return path;
+}
+
+/**
+ * Searches for the rest of a teleporter path (internal helper)
+ * Each walk tries to end where planned first, then anywhere that leaves the walks
+ * still to come MIN_TELEPORT_WALK tiles each.
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {number} pathLength - Desired path length
+ * @param {Array} splits - Path lengths at which each walk is planned to end
+ * @param {Array} path - Start of the path (no jumps yet)
+ * @param {Function} random - PRNG returning [0, 1)
+ * @returns {Array} Complete path, or null if none was found
+ */
+function findTeleportPath(grid, pathLength, splits, path, random) {
+	var search = createSearch(grid, pathLength, random, path);
+	search.teleport = {
+		splits: splits,
+		jumps: 0, // Jumps made so far
+		walkStart: 0, // Path length when the walk in progress started
+	};
+
+	return searchPath(search) ? search.path : null;
+}
+
+/**
+ * Generates another path from the same near-edge start tile for a multi-path level
+ * Of ALTERNATE_PATH_SAMPLES candidates, the one sharing the fewest tiles with the
+ * existing paths wins; it never ends on the end tile of one of them.
+ * @param {Array} paths - Paths already on the grid (arrays of grid positions {x, z})
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {number} pathLength - Desired path length
+ * @param {Object} options - Optional settings, see generatePath
+ * @returns {Array} New path, or null if none ends apart from the others
+ */
+function generateAlternatePath(paths, rows, columns, pathLength, options) {
+	var taken = {};
+	var ends = {};
+	for (var p = 0; p < paths.length; p++) {
+		for (var i = 1; i < paths[p].length; i++) {
+			taken[positionKey(paths[p][i].x, paths[p][i].z)] = true;
+		}
+		var end = paths[p][paths[p].length - 1];
+		ends[positionKey(end.x, end.z)] = true;
+	}
+
+	var best = null;
+	var bestShared = Infinity;
+
+	for (var attempt = 0; attempt < ALTERNATE_PATH_SAMPLES && bestShared > 0; attempt++) {
+		var candidate = generatePathFromBottom(rows, columns, pathLength, options);
+		if (!candidate) return null;
+
+		var last = candidate[candidate.length - 1];
+		if (ends[positionKey(last.x, last.z)]) continue;
+
+		var shared = 0;
+		for (var c = 1; c < candidate.length; c++) {
+			if (taken[positionKey(candidate[c].x, candidate[c].z)]) shared++;
+		}
+		if (shared < bestShared) {
+			best = candidate;
+			bestShared = shared;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * Finds the teleporter jumps in a path: steps between tiles that don't touch
+ * @param {Array} path - Array of grid positions {x, z}
+ * @param {Object} options - Optional { diagonal, topology } (see generatePath options)
+ * @returns {Array} Indices i where the step from path[i - 1] to path[i] is a jump
+ */
+function getTeleportSteps(path, options) {
+	var steps = [];
+	for (var i = 1; i < path.length; i++) {
+		if (!MathHelpers.isAdjacent(path[i - 1], path[i], options)) {
+			steps.push(i);
+		}
+	}
+	return steps;
+}
+
+/**
+ * Lists the tiles a path leaves free for hazards and bonus tiles (internal helper)
+ * On square grids the two tiles beside each diagonal step are taken too, since
+ * walking the diagonal brushes them
+ * @param {Array} path - Path to keep clear, array of grid positions {x, z}
+ * @param {Object} grid - Grid description from createGridInfo
+ * @param {Object} options - Optional { keepClear: more paths to keep clear, avoid: single tiles to leave out }
+ * @returns {Array} Free grid positions {x, z}, in grid order
+ */
+function getFreeTiles(path, grid, options) {
+	var paths = [path].concat(options && options.keepClear ? options.keepClear : []);
+	var blocked = {};
+
+	for (var p = 0; p < paths.length; p++) {
+		for (var i = 0; i < paths[p].length; i++) {
+			var to = paths[p][i];
+			blocked[positionKey(to.x, to.z)] = true;
+
+			var from = i > 0 ? paths[p][i - 1] : null;
+			if (from && grid.topology !== Constants.GridTopology.HEX && Math.abs(from.x - to.x) === 1 && Math.abs(from.z - to.z) === 1) {
+				blocked[positionKey(from.x, to.z)] = true;
+				blocked[positionKey(to.x, from.z)] = true;
+			}
+		}
+	}
+
+	var avoid = options && options.avoid ? options.avoid : [];
+	for (var a = 0; a < avoid.length; a++) {
+		blocked[positionKey(avoid[a].x, avoid[a].z)] = true;
+	}
+
+	var tiles = [];
+	for (var z = 0; z < grid.rows; z++) {
+		for (var x = 0; x < grid.columns; x++) {
+			if (MathHelpers.isValidGridPosition(x, z, grid.rows, grid.columns, grid.mask) && !blocked[positionKey(x, z)]) {
+				tiles.push({ x: x, z: z });
+			}
+		}
+	}
+
+	return tiles;
+}
+
+/**
+ * Picks hazard tiles for a path (hazards modifier): random tiles the path never uses
+ * Tiles beside a diagonal step are skipped too, so hazards can never block the path
+ * @param {Array} path - Path to keep clear, array of grid positions {x, z}
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {number} count - Number of hazard tiles wanted
+ * @param {Object} options - Optional settings, see generatePath (mask, topology, random), plus:
+ *   - keepClear: more paths hazards must stay off (e.g. the walk path of a mirror level)
+ *   - avoid: single tiles hazards must stay off
+ * @returns {Array} Hazard positions {x, z}, fewer than count if the grid runs out of free tiles
+ */
+function placeHazards(path, rows, columns, count, options) {
+	var candidates = getFreeTiles(path, createGridInfo(rows, columns, options), options);
+
+	if (candidates.length < count) {
+		print("PathGenerator: WARNING - only " + candidates.length + " tiles are free for " + count + " hazards");
+	}
+
+	return MathHelpers.shuffleArray(candidates, getRandomSource(options)).slice(0, count);
+}
+
+/**
+ * Picks the special tiles of a path (doubleSteps and bonusTiles modifiers)
+ * Double-step tiles are middle tiles the path passes over once and that aren't teleporters.
+ * Bonus tiles are free tiles off the path that touch it, so grabbing one is a one-tile detour.
+ * @param {Array} path - Array of grid positions {x, z}
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {Object} counts - { doubleSteps, bonusTiles } wanted (missing = 0)
+ * @param {Object} options - Optional settings, see placeHazards (avoid should list the hazards)
+ * @returns {Object} { doubleSteps: [{x, z}], bonusTiles: [{x, z}] }, shorter lists if there isn't room
+ */
+function placeSpecialTiles(path, rows, columns, counts, options) {
+	var grid = createGridInfo(rows, columns, options);
+	var random = getRandomSource(options);
+	var result = { doubleSteps: [], bonusTiles: [] };
+
+	if (counts.doubleSteps > 0) {
+		var visits = {};
+		var teleporters = {};
+		var jumps = getTeleportSteps(path, grid);
+		for (var i = 0; i < path.length; i++) {
+			var key = positionKey(path[i].x, path[i].z);
+			visits[key] = (visits[key] || 0) + 1;
+		}
+		for (var j = 0; j < jumps.length; j++) {
+			teleporters[jumps[j] - 1] = true;
+			teleporters[jumps[j]] = true;
+		}
+
+		var steps = [];
+		for (var k = 1; k < path.length - 1; k++) {
+			if (visits[positionKey(path[k].x, path[k].z)] === 1 && !teleporters[k]) {
+				steps.push(path[k]);
+			}
+		}
+
+		if (steps.length < counts.doubleSteps) {
+			print("PathGenerator: WARNING - only " + steps.length + " path tiles can be double-step tiles, " + counts.doubleSteps + " wanted");
+		}
+		result.doubleSteps = MathHelpers.shuffleArray(steps, random).slice(0, counts.doubleSteps);
+	}
+
+	if (counts.bonusTiles > 0) {
+		var nearPath = getFreeTiles(path, grid, options).filter(function (tile) {
+			for (var n = 0; n < path.length; n++) {
+				if (MathHelpers.isAdjacent(tile, path[n], { topology: grid.topology })) return true;
+			}
+			return false;
+		});
+
+		if (nearPath.length < counts.bonusTiles) {
+			print("PathGenerator: WARNING - only " + nearPath.length + " tiles next to the path are free for " + counts.bonusTiles + " bonus tiles");
+		}
+		result.bonusTiles = MathHelpers.shuffleArray(nearPath, random).slice(0, counts.bonusTiles);
+	}
+
+	return result;
+}
+
+/**
+ * Generates a colour layout for colour-sequence levels: every tile gets one of
+ * the first colorCount colours of GridConfig.SEQUENCE_PALETTE
+ * Colours repeat in a diagonal pattern so touching tiles never share a colour and
+ * (away from holes) every tile touches each other colour. Any path on the grid then
+ * reads as a colour sequence with no colour twice in a row, and the next colour is
+ * always one step away. The seed picks which colour goes where.
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {number} colorCount - Colours in play (2 to the palette size; hex grids need 3)
+ * @param {Object} options - Optional settings, see generatePath (mask, topology, random)
+ * @returns {Array} Layout: layout[z][x] is a colour id, or null for masked-out tiles
+ */
+function generateColorLayout(rows, columns, colorCount, options) {
+	var grid = createGridInfo(rows, columns, options);
+	var random = getRandomSource(options);
+	var colors = MathHelpers.shuffleArray(Constants.GridConfig.SEQUENCE_PALETTE.slice(0, colorCount), random);
+	var offset = Math.floor(random() * colorCount);
+
+	// Two colours alternate like a checkerboard, more colours shift two per row
+	var rowShift = colorCount === 2 ? 1 : 2;
+	var layout = [];
+
+	for (var z = 0; z < rows; z++) {
+		layout[z] = [];
+		for (var x = 0; x < columns; x++) {
+			if (!MathHelpers.isValidGridPosition(x, z, rows, columns, grid.mask)) {
+				layout[z][x] = null;
+				continue;
+			}
+
+			// Hex rows are staggered, so the pattern runs along the axial axes
+			var a = grid.topology === Constants.GridTopology.HEX ? MathHelpers.offsetToAxial(x, z).q : x;
+			layout[z][x] = colors[(((a + rowShift * z + offset) % colorCount) + colorCount) % colorCount];
+		}
+	}
+
+	return layout;
+}
+
+/**
+ * Gets the start tile every level begins on: the center of the near edge
+ * This tile sits at the placement point, so fixed paths must start here too
+ * If the mask removes that tile, the nearest existing tile to it is used instead,
+ * scanning rows from the near edge back and preferring the center column
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {Array} mask - Optional tile mask from MathHelpers.createGridMask
+ * @returns {Object} Grid position {x, z}, or null if the mask removes every tile
+ */
+function getNearEdgeStart(rows, columns, mask) {
 	// Start from center of the near row (highest z = closest to player)
-	var startX = Math.floor(columns / 2);
-	var startZ = rows - 1; // Near edge (closest to player when facing grid)
-	var startPos = { x: startX, z: startZ };
+	var centerX = Math.floor(columns / 2);
+
+	for (var z = rows - 1; z >= 0; z--) {
+		for (var offset = 0; offset < columns; offset++) {
+			var left = centerX - offset;
+			var right = centerX + offset;
+			if (MathHelpers.isValidGridPosition(left, z, rows, columns, mask)) return { x: left, z: z };
+			if (MathHelpers.isValidGridPosition(right, z, rows, columns, mask)) return { x: right, z: z };
+		}
+	}
 
-	return generatePath(rows, columns, pathLength, startPos);
+	return null;
 }
 
 /**
  * Gets the direction between two adjacent path positions
  * @param {Object} from - Starting position {x, z}
  * @param {Object} to - Ending position {x, z}
- * @returns {string} Direction name: "up", "down", "left", "right"
+ * @param {string} topology - Constants.GridTopology value (default: square)
+ * @returns {string} Direction name: "up", "down", "left", "right",
+ *   or "up-left", "up-right", "down-left", "down-right" for diagonal steps
+ *   (hex steps are "left", "right" or one of the four diagonal names)
  */
-function getDirection(from, to) {
+function getDirection(from, to, topology) {
+	if (topology === Constants.GridTopology.HEX) {
+		var step = getStep(from, to, topology);
+		if (step.z > 0) return step.x < 0 ? "up-left" : "up-right";
+		if (step.z < 0) return step.x > 0 ? "down-right" : "down-left";
+		if (step.x > 0) return "right";
+		if (step.x < 0) return "left";
+		return "none";
+	}
+
 	var dx = to.x - from.x;
 	var dz = to.z - from.z;
 
+	if (dx !== 0 && dz !== 0) {
+		return (dz > 0 ? "up" : "down") + "-" + (dx > 0 ? "right" : "left");
+	}
+
 	if (dz > 0) return "up";
 	if (dz < 0) return "down";
 	if (dx > 0) return "right";
@@ -239,28 +1109,191 @@ function getDirection(from, to) {
 	return "none";
 }
 
+/**
+ * Scores how hard a path is to memorize, from 0 (trivial) to 1 (brutal)
+ * Length is deliberately left out: it already scales per level, and the score
+ * ranks paths of the same length against each other.
+ * @param {Array} path - Array of grid positions
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {Object} layout - Optional { mask, topology } (see generatePath options)
+ * @returns {number} Difficulty score between 0 and 1
+ */
+function scorePathDifficulty(path, rows, columns, layout) {
+	if (!path || path.length < 3) return 0;
+
+	var features = getPathFeatures(path, rows, columns, layout);
+	var score = 0;
+
+	for (var name in DIFFICULTY_WEIGHTS) {
+		score += DIFFICULTY_WEIGHTS[name] * features[name];
+	}
+
+	return MathHelpers.clamp(score, 0, 1);
+}
+
+/**
+ * Measures the path features used by scorePathDifficulty, each normalized to 0-1
+ * Useful on its own for tuning difficulty bands from logs
+ * @param {Array} path - Array of grid positions
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {Object} layout - Optional { mask, topology }; tiles bordering a hole count as edge tiles
+ * @returns {Object} { turns, zigzag, shortRuns, asymmetry, interior, turnCount }
+ */
+function getPathFeatures(path, rows, columns, layout) {
+	var topology = layout ? layout.topology : null;
+	var stepCount = path.length - 1;
+	var turnCount = 0;
+	var sideChanges = 0;
+	var lastTurnSide = 0;
+	var runCount = 1;
+
+	for (var i = 2; i < path.length; i++) {
+		var stepIn = getStep(path[i - 2], path[i - 1], topology);
+		var stepOut = getStep(path[i - 1], path[i], topology);
+		var inX = stepIn.x;
+		var inZ = stepIn.z;
+		var outX = stepOut.x;
+		var outZ = stepOut.z;
+
+		if (inX === outX && inZ === outZ) continue;
+
+		turnCount++;
+		runCount++;
+
+		// Sign of the 2D cross product tells a left turn from a right turn
+		var turnSide = inX * outZ - inZ * outX > 0 ? 1 : -1;
+		if (lastTurnSide !== 0 && turnSide !== lastTurnSide) {
+			sideChanges++;
+		}
+		lastTurnSide = turnSide;
+	}
+
+	// Average straight run in steps: 1 = turns every step, stepCount = one straight line
+	var averageRun = stepCount / runCount;
+
+	var onPath = {};
+	var edgeTiles = 0;
+	for (var j = 0; j < path.length; j++) {
+		onPath[positionKey(path[j].x, path[j].z)] = true;
+		if (isEdgeTile(path[j].x, path[j].z, rows, columns, layout)) {
+			edgeTiles++;
+		}
+	}
+
+	// Share of tiles whose mirror across the centre column is also on the path
+	var mirroredTiles = 0;
+	for (var k = 0; k < path.length; k++) {
+		if (onPath[positionKey(columns - 1 - path[k].x, path[k].z)]) {
+			mirroredTiles++;
+		}
+	}
+
+	return {
+		turns: turnCount / Math.max(1, stepCount - 1),
+		zigzag: sideChanges / Math.max(1, turnCount - 1),
+		shortRuns: stepCount > 1 ? (stepCount - averageRun) / (stepCount - 1) : 0,
+		asymmetry: 1 - mirroredTiles / path.length,
+		interior: 1 - edgeTiles / path.length,
+		turnCount: turnCount,
+	};
+}
+
+/**
+ * Gets the step between two adjacent tiles as a vector
+ * Hex steps are measured in axial coordinates, where the same direction
+ * always gives the same vector (in {x, z} it depends on the row)
+ * @param {Object} from - Starting position {x, z}
+ * @param {Object} to - Ending position {x, z}
+ * @param {string} topology - Constants.GridTopology value (default: square)
+ * @returns {Object} Step {x, z}
+ */
+function getStep(from, to, topology) {
+	if (topology === Constants.GridTopology.HEX) {
+		var a = MathHelpers.offsetToAxial(from.x, from.z);
+		var b = MathHelpers.offsetToAxial(to.x, to.z);
+		return { x: b.q - a.q, z: b.r - a.r };
+	}
+	return { x: to.x - from.x, z: to.z - from.z };
+}
+
 /**
  * Converts path to direction instructions
  * Useful for verbal guidance from game host
  * @param {Array} path - Array of grid positions
+ * @param {string} topology - Constants.GridTopology value (default: square)
  * @returns {Array} Array of direction strings
  */
-function pathToDirections(path) {
+function pathToDirections(path, topology) {
 	var directions = [];
 
 	for (var i = 1; i < path.length; i++) {
-		directions.push(getDirection(path[i - 1], path[i]));
+		directions.push(getDirection(path[i - 1], path[i], topology));
 	}
 
 	return directions;
 }
 
+/**
+ * Gets the path the player has to walk for a walk mode
+ * Reverse walks the revealed path backwards; mirror flips it across the centre column
+ * (mirror only makes sense on square grids with a left-right symmetric mask)
+ * @param {Array} path - Revealed path
+ * @param {string} walkMode - Constants.WalkMode value (default: forward)
+ * @param {number} columns - Grid columns
+ * @returns {Array} New array of grid positions {x, z}
+ */
+function transformPath(path, walkMode, columns) {
+	var walkPath = [];
+
+	for (var i = 0; i < path.length; i++) {
+		var pos = walkMode === Constants.WalkMode.REVERSE ? path[path.length - 1 - i] : path[i];
+		var x = walkMode === Constants.WalkMode.MIRROR ? columns - 1 - pos.x : pos.x;
+		walkPath.push({ x: x, z: pos.z });
+	}
+
+	return walkPath;
+}
+
+/**
+ * Gets the path the player has to walk on a rotation level: the revealed path
+ * turned about the grid's centre (see MathHelpers.rotateGridPosition)
+ * @param {Array} path - Path to rotate (usually already through transformPath)
+ * @param {number} rotation - Degrees clockwise: 0, 90, 180 or 270
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @returns {Array} New array of grid positions {x, z}
+ */
+function rotatePath(path, rotation, rows, columns) {
+	var rotated = [];
+
+	for (var i = 0; i < path.length; i++) {
+		rotated.push(MathHelpers.rotateGridPosition(path[i].x, path[i].z, rotation, rows, columns));
+	}
+
+	return rotated;
+}
+
 // Export functions
 module.exports = {
 	generatePath: generatePath,
 	generatePathFromBottom: generatePathFromBottom,
+	extendPath: extendPath,
+	generateTeleportPath: generateTeleportPath,
+	generateAlternatePath: generateAlternatePath,
+	getTeleportSteps: getTeleportSteps,
+	placeHazards: placeHazards,
+	placeSpecialTiles: placeSpecialTiles,
+	generateColorLayout: generateColorLayout,
+	MAX_TILE_VISITS: MAX_TILE_VISITS,
+	getNearEdgeStart: getNearEdgeStart,
 	getRandomEdgePosition: getRandomEdgePosition,
 	isValidPath: isValidPath,
+	scorePathDifficulty: scorePathDifficulty,
+	getPathFeatures: getPathFeatures,
 	getDirection: getDirection,
 	pathToDirections: pathToDirections,
+	transformPath: transformPath,
+	rotatePath: rotatePath,
 };
@@ -41,6 +41,9 @@ var billboardEnabled = true;
 // Floor Y stored from initialize (keeps host at consistent height)
 var hostFloorY = 0;
 
+// Depth of the current grid in cm (set per level, bigger grids push the host further out)
+var gridDepth = 0;
+
 // Talking animation: gentle floating/bobbing while speaking (applied on top of follow position)
 var talkingAnimation = {
 	time: 0,
@@ -129,6 +132,8 @@ function getTargetPosition() {
 	if (!isSceneObjectValid(script.cameraObject)) return null;
 
 	var forwardDist = script.forwardDistance !== undefined ? script.forwardDistance : Constants.HostConfig.DISTANCE_FROM_USER;
+	// Keep the host out over the middle of big grids so it stays in view while the player scans the far rows
+	forwardDist = Math.max(forwardDist, gridDepth / 2);
 	var heightOff = script.heightOffset !== undefined ? script.heightOffset : Constants.HostConfig.HEIGHT_OFFSET;
 	var lateralOff = script.lateralOffset || 0;
 
@@ -390,7 +395,7 @@ function playDialogue(dialogue, onComplete) {
 
 	// Show subtitle (skip for sfxOnly)
 	if (script.subtitleText) {
-		script.subtitleText.text = dialogue.sfxOnly ? "" : dialogue.text;
+		script.subtitleText.text = dialogue.sfxOnly ? "" : DialogueLines.getDialogueText(dialogue);
 	}
 
 	// Reset talking animation timer for fresh bobbing
@@ -451,13 +456,25 @@ function playWelcomeSequence(onComplete) {
 }
 
 /**
- * Plays level announcement
- * @param {number} level - Level number (1-11)
+ * Plays level announcement, followed by a twist line for each modifier the level has
+ * (walk mode, collect-all)
+ * @param {number} level - Level number (1-based)
  * @param {Function} onComplete - Callback when dialogue finishes
+ * @param {Object} modifiers - Level modifiers from the level pack (optional)
  */
-function playLevelAnnouncement(level, onComplete) {
-	var dialogue = DialogueLines.getLevelDialogue(level);
-	playDialogue(dialogue, onComplete);
+function playLevelAnnouncement(level, onComplete, modifiers) {
+	var lines = [DialogueLines.getLevelDialogue(level)].concat(DialogueLines.getTwistDialogues(modifiers));
+	var index = 0;
+
+	function playNextLine() {
+		if (index >= lines.length) {
+			if (onComplete) onComplete();
+			return;
+		}
+		playDialogue(lines[index++], playNextLine);
+	}
+
+	playNextLine();
 }
 
 /**
@@ -574,6 +591,14 @@ function skipDialogue() {
 	}
 }
 
+/**
+ * Tells the host how big the current grid is
+ * @param {Object} footprint - Grid size in cm { width, depth } (from GridManager.getGridFootprint)
+ */
+function setGridFootprint(footprint) {
+	gridDepth = footprint ? footprint.depth : 0;
+}
+
 /**
  * Sets billboard behavior on/off
  * @param {boolean} enabled - Whether to enable billboard
@@ -644,6 +669,7 @@ script.playLevelUp = playLevelUp;
 script.playGameComplete = playGameComplete;
 script.skipDialogue = skipDialogue;
 script.setBillboardEnabled = setBillboardEnabled;
+script.setGridFootprint = setGridFootprint;
 script.repositionToCamera = repositionToCamera;
 script.isHostVisible = isHostVisible;
 script.isDialoguePlaying = isDialoguePlaying;
@@ -0,0 +1,940 @@
+// LevelPackLoader.js
+// Loads, validates and serves level packs (campaign data in Levels/Packs)
+
+var Constants = require("../Utils/Constants");
+var MathHelpers = require("../Utils/MathHelpers");
+var PathGenerator = require("../Grid/PathGenerator");
+
+/**
+ * Level pack format (plain data, see Packs/ClassicPack.js):
+ * {
+ *   id: "classic",                 // Unique pack id
+ *   name: "Classic",               // Display name
+ *   mode: "levels",                // Optional, "levels" (default) or "growing" (see below)
+ *   growReveal: "new_tile",        // Growing packs only: "new_tile" (default) or "whole_path"
+ *   defaults: {                    // Optional, applied to every level
+ *     gridRows, gridColumns,       // Grid size (MIN_GRID_SIZE - MAX_GRID_SIZE)
+ *     mask,                        // Optional grid shape (see below)
+ *     topology,                    // "square" (default) or "hex"
+ *     memorizeTime,                // Seconds to memorize after the reveal
+ *     revealSpeed,                 // Tiles revealed per second
+ *     lives,                       // Wrong steps a level takes before it fails (default LevelConfig.LIVES)
+ *     difficulty,                  // Target band for generated paths
+ *     modifiers: {}                // Gameplay modifiers (see KNOWN_MODIFIERS)
+ *   },
+ *   levels: [                      // One entry per level, in order
+ *     {
+ *       pathLength: 9,             // Generate a path of this many tiles...
+ *       path: [{ x, z }, ...],     // ...or play this exact path instead
+ *       difficulty: { min, max },  // Optional target band for generated paths (0-1)
+ *       seed: 1234,                // Optional fixed seed for generated paths
+ *       ...any field from defaults to override it for this level
+ *     }
+ *   ]
+ * }
+ *
+ * A mask removes tiles to make holes, rings, crosses and L-shapes. Either:
+ *   a layout, one row per grid row with 1 = tile and 0 = hole:
+ *     mask: [[1, 1, 1], [1, 0, 1], [1, 1, 1]]
+ *     (row 0 is the far edge, the last row is the near edge the player starts from)
+ *   or a list of the tiles to remove:
+ *     mask: [{ x: 1, z: 1 }]
+ * The start tile is the near-edge center, or the closest remaining tile to it.
+ *
+ * In a growing pack (Simon-style) the path persists: each level is one round that adds
+ * a tile to the end of the previous round's path, and the next round starts right on
+ * the grid instead of back in the start zone. Every level must be one tile longer than
+ * the one before and keep the same grid, so growing packs can't use fixed paths.
+ * growReveal picks what is shown before each new round: just the added tile, or the whole path.
+ *
+ * Hex grids use the same {x, z} tile positions, with odd rows shifted half a tile
+ * to the right (see Constants.GridTopology). Masks and fixed paths work the same way.
+ */
+
+// Grid sizes a level may use (applies to rows and columns)
+var MIN_GRID_SIZE = 3;
+var MAX_GRID_SIZE = 7;
+
+// Packs that can be loaded by id
+var PACKS = {
+	classic: require("./Packs/ClassicPack"),
+	growing: require("./Packs/GrowingPack"),
+};
+
+// Tile layouts a level may use
+var KNOWN_TOPOLOGIES = [Constants.GridTopology.SQUARE, Constants.GridTopology.HEX];
+
+// Ways a pack may be played, and what growing packs may show between rounds
+var KNOWN_PACK_MODES = [Constants.PackMode.LEVELS, Constants.PackMode.GROWING];
+var KNOWN_GROW_REVEALS = [Constants.GrowReveal.NEW_TILE, Constants.GrowReveal.WHOLE_PATH];
+
+// Pack used when the configured pack is missing or invalid
+var FALLBACK_PACK_ID = "classic";
+
+// Modifiers a level may set, mapped to the value type they expect (or the list of values they accept)
+// Unknown names are rejected so a typo in pack data can't silently do nothing
+var KNOWN_MODIFIERS = {
+	diagonal: "boolean", // Paths may step diagonally (8-connected)
+	crossing: "boolean", // Paths may cross themselves, passing over a tile twice
+	collectAll: "boolean", // Path tiles form a set, stepped on in any order
+	hazards: "number", // Hazard tiles placed off the path; they fail the level, other off-path tiles are neutral
+	teleporters: "number", // Teleporter pairs: step on one end, continue the path from the other
+	doubleSteps: "number", // Path tiles that must be stepped on, left and stepped on again
+	bonusTiles: "number", // Optional tiles next to the path that award extra score
+	colorSequence: "number", // Colours in play: remember the colour order, step on any tile of each colour
+	numbers: "boolean", // Path revealed all at once with step numbers on its tiles
+	paths: "number", // Paths revealed in different colours; the host picks the one to walk when play starts
+	fog: "boolean", // Play phase only shows the tiles one step around the player
+	backtrack: "boolean", // Stepping back onto tiles already walked correctly is neutral
+	decoys: "object", // Tiles off the path flash while it reveals: { count, duration, color, window } (see validateDecoys)
+	walkMode: [Constants.WalkMode.FORWARD, Constants.WalkMode.REVERSE, Constants.WalkMode.MIRROR], // How the revealed path must be walked
+	rotation: [0, 90, 180, 270], // Degrees clockwise the path turns between memorizing and walking it
+};
+
+// Currently loaded (normalized) pack
+var activePack = null;
+
+/**
+ * Validates a level pack
+ * @param {Object} pack - Level pack data
+ * @returns {Array} Error messages (empty if the pack is valid)
+ */
+function validateLevelPack(pack) {
+	var errors = [];
+
+	if (!pack || typeof pack !== "object") {
+		errors.push("pack is not an object");
+		return errors;
+	}
+	if (typeof pack.id !== "string" || pack.id.length === 0) {
+		errors.push("pack has no id");
+	}
+	if (pack.defaults !== undefined && (typeof pack.defaults !== "object" || pack.defaults === null)) {
+		errors.push("defaults must be an object");
+		return errors;
+	}
+	if (pack.defaults && pack.defaults.modifiers !== undefined && (typeof pack.defaults.modifiers !== "object" || pack.defaults.modifiers === null)) {
+		errors.push("default modifiers must be an object");
+		return errors;
+	}
+	if (pack.mode !== undefined && KNOWN_PACK_MODES.indexOf(pack.mode) === -1) {
+		errors.push("mode must be one of: " + KNOWN_PACK_MODES.join(", "));
+	}
+	if (pack.growReveal !== undefined && KNOWN_GROW_REVEALS.indexOf(pack.growReveal) === -1) {
+		errors.push("growReveal must be one of: " + KNOWN_GROW_REVEALS.join(", "));
+	}
+	if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+		errors.push("pack has no levels");
+		return errors;
+	}
+
+	for (var i = 0; i < pack.levels.length; i++) {
+		var level = pack.levels[i];
+		var prefix = "level " + (i + 1) + ": ";
+
+		if (!level || typeof level !== "object") {
+			errors.push(prefix + "is not an object");
+			continue;
+		}
+		if (level.modifiers !== undefined && (typeof level.modifiers !== "object" || level.modifiers === null)) {
+			errors.push(prefix + "modifiers must be an object");
+			continue;
+		}
+
+		var levelErrors = validateLevel(resolveLevel(pack, i));
+		if (pack.mode === Constants.PackMode.GROWING) {
+			levelErrors = levelErrors.concat(validateGrowingRound(pack, i));
+		}
+		for (var j = 0; j < levelErrors.length; j++) {
+			errors.push(prefix + levelErrors[j]);
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Checks that a level of a growing pack can grow out of the level before it
+ * @param {Object} pack - Level pack data
+ * @param {number} index - Zero-based level index
+ * @returns {Array} Error messages (empty if the round is valid)
+ */
+function validateGrowingRound(pack, index) {
+	var errors = [];
+	var level = resolveLevel(pack, index);
+
+	if (level.path) {
+		errors.push("growing packs generate their paths, fixed paths are not supported");
+	}
+	if (level.modifiers.teleporters > 0) {
+		errors.push("growing packs can't use the teleporters modifier");
+	}
+	if (level.modifiers.colorSequence > 0) {
+		errors.push("growing packs can't use the colorSequence modifier");
+	}
+	if (level.modifiers.rotation > 0) {
+		errors.push("growing packs can't use the rotation modifier");
+	}
+	if (level.modifiers.paths > 0) {
+		errors.push("growing packs can't use the paths modifier");
+	}
+	if (index === 0) return errors;
+
+	var previous = resolveLevel(pack, index - 1);
+	if (typeof previous.pathLength === "number" && level.pathLength !== previous.pathLength + 1) {
+		errors.push("pathLength must be " + (previous.pathLength + 1) + " (one more tile than the previous round)");
+	}
+	if (level.gridRows !== previous.gridRows || level.gridColumns !== previous.gridColumns || level.topology !== previous.topology) {
+		errors.push("growing rounds must keep the previous round's grid size and topology");
+	} else if (JSON.stringify(MathHelpers.createGridMask(level.gridRows, level.gridColumns, level.mask)) !== JSON.stringify(MathHelpers.createGridMask(previous.gridRows, previous.gridColumns, previous.mask))) {
+		errors.push("growing rounds must keep the previous round's mask");
+	}
+	if ((level.modifiers.diagonal === true) !== (previous.modifiers.diagonal === true)) {
+		errors.push("growing rounds must keep the previous round's diagonal modifier");
+	}
+
+	return errors;
+}
+
+/**
+ * Validates one resolved level (defaults already applied)
+ * @param {Object} level - Resolved level from resolveLevel
+ * @returns {Array} Error messages
+ */
+function validateLevel(level) {
+	var errors = [];
+
+	var sizeValid = true;
+	if (!isIntegerInRange(level.gridRows, MIN_GRID_SIZE, MAX_GRID_SIZE)) {
+		errors.push("gridRows must be a whole number from " + MIN_GRID_SIZE + " to " + MAX_GRID_SIZE);
+		sizeValid = false;
+	}
+	if (!isIntegerInRange(level.gridColumns, MIN_GRID_SIZE, MAX_GRID_SIZE)) {
+		errors.push("gridColumns must be a whole number from " + MIN_GRID_SIZE + " to " + MAX_GRID_SIZE);
+		sizeValid = false;
+	}
+
+	var diagonal = level.modifiers.diagonal === true;
+	var isHex = level.topology === Constants.GridTopology.HEX;
+	if (KNOWN_TOPOLOGIES.indexOf(level.topology) === -1) {
+		errors.push("topology must be one of: " + KNOWN_TOPOLOGIES.join(", "));
+		sizeValid = false;
+	} else if (isHex && diagonal) {
+		errors.push("the diagonal modifier only works on square grids");
+	}
+
+	// Cutting a corner between targets would step on a tile that isn't one
+	if (diagonal && level.modifiers.collectAll === true) {
+		errors.push("the collectAll modifier can't be combined with diagonal");
+	}
+	if (level.modifiers.numbers === true && level.modifiers.collectAll === true) {
+		errors.push("the numbers modifier can't be combined with collectAll (targets have no order)");
+	}
+
+	var mask = null;
+	if (sizeValid && level.mask !== null) {
+		var maskErrors = validateMask(level.mask, level.gridRows, level.gridColumns);
+		if (maskErrors.length > 0) {
+			errors = errors.concat(maskErrors);
+			sizeValid = false;
+		} else {
+			mask = MathHelpers.createGridMask(level.gridRows, level.gridColumns, level.mask);
+		}
+	}
+
+	// A mirrored path has to land on tiles that exist
+	if (level.modifiers.walkMode === Constants.WalkMode.MIRROR) {
+		if (isHex) {
+			errors.push("the mirror walk mode only works on square grids");
+		} else if (mask && !isMirrorSymmetric(mask, level.gridRows, level.gridColumns)) {
+			errors.push("the mirror walk mode needs a mask that is symmetric left to right");
+		}
+	}
+
+	// A rotated path has to land on tiles that exist too
+	var rotation = level.modifiers.rotation;
+	if (rotation > 0) {
+		if (isHex) {
+			errors.push("the rotation modifier only works on square grids");
+		} else if (rotation !== 180 && level.gridRows !== level.gridColumns) {
+			errors.push("a rotation of " + rotation + " needs a grid with as many rows as columns");
+		} else if (mask && !isRotationSymmetric(mask, level.gridRows, level.gridColumns, rotation)) {
+			errors.push("a rotation of " + rotation + " needs a mask that looks the same when turned");
+		}
+	}
+
+	var start = sizeValid ? PathGenerator.getNearEdgeStart(level.gridRows, level.gridColumns, mask) : null;
+	if (sizeValid && !start) {
+		errors.push("mask removes every tile");
+		sizeValid = false;
+	}
+
+	if (level.path !== null) {
+		if (sizeValid) {
+			errors = errors.concat(validateFixedPath(level.path, level.gridRows, level.gridColumns, { diagonal: diagonal, crossing: level.modifiers.crossing === true, mask: mask, topology: level.topology }));
+		}
+		if (level.pathLength !== null && Array.isArray(level.path) && level.pathLength !== level.path.length) {
+			errors.push("pathLength " + level.pathLength + " does not match the " + level.path.length + " tile path");
+		}
+	} else if (level.pathLength === null) {
+		errors.push("needs a pathLength or a path");
+	} else if (sizeValid) {
+		// Tiles cut off from the start by holes can never be part of the path
+		var reachable = countReachableTiles(start, level.gridRows, level.gridColumns, { diagonal: diagonal, mask: mask, topology: level.topology });
+		if (!isIntegerInRange(level.pathLength, 2, reachable)) {
+			errors.push("pathLength must be a whole number from 2 to " + reachable + (mask ? " (tiles reachable from the start tile)" : ""));
+		} else if (!isHex && !diagonal && level.modifiers.crossing !== true && !(level.modifiers.teleporters > 0)) {
+			// Orthogonal steps alternate checkerboard colours, so the smaller colour caps the path
+			var longest = getCheckerboardPathLimit(start, level.gridRows, level.gridColumns, mask);
+			if (level.pathLength > longest) {
+				errors.push("pathLength must be at most " + longest + " on this grid (each step changes checkerboard colour, starting from the near-edge middle tile)");
+			}
+		}
+	}
+
+	if (typeof level.memorizeTime !== "number" || !(level.memorizeTime > 0)) {
+		errors.push("memorizeTime must be a positive number of seconds");
+	}
+	if (typeof level.revealSpeed !== "number" || !(level.revealSpeed > 0)) {
+		errors.push("revealSpeed must be a positive number of tiles per second");
+	}
+	if (!isIntegerInRange(level.lives, 1, Infinity)) {
+		errors.push("lives must be a whole number of at least 1");
+	}
+
+	if (level.difficulty !== null) {
+		var band = level.difficulty;
+		if (typeof band !== "object" || typeof band.min !== "number" || typeof band.max !== "number") {
+			errors.push("difficulty must be { min, max }");
+		} else if (band.min < 0 || band.max > 1 || band.min > band.max) {
+			errors.push("difficulty band must satisfy 0 <= min <= max <= 1");
+		}
+	}
+
+	if (level.seed !== null && !isIntegerInRange(level.seed, 0, 4294967295)) {
+		errors.push("seed must be a whole number from 0 to 4294967295");
+	}
+
+	for (var name in level.modifiers) {
+		if (!KNOWN_MODIFIERS.hasOwnProperty(name)) {
+			errors.push("unknown modifier '" + name + "'");
+		} else if (Array.isArray(KNOWN_MODIFIERS[name])) {
+			if (KNOWN_MODIFIERS[name].indexOf(level.modifiers[name]) === -1) {
+				errors.push("modifier '" + name + "' must be one of: " + KNOWN_MODIFIERS[name].join(", "));
+			}
+		} else if (typeof level.modifiers[name] !== KNOWN_MODIFIERS[name]) {
+			errors.push("modifier '" + name + "' must be " + (KNOWN_MODIFIERS[name] === "object" ? "an " : "a ") + KNOWN_MODIFIERS[name]);
+		}
+	}
+
+	// Hazards only go on tiles the path leaves free
+	if (typeof level.modifiers.hazards === "number" && sizeValid) {
+		var pathTiles = Array.isArray(level.path) ? level.path.length : level.pathLength;
+		var freeTiles = Math.max(0, MathHelpers.countGridTiles(level.gridRows, level.gridColumns, mask) - (pathTiles || 0));
+		if (!isIntegerInRange(level.modifiers.hazards, 0, freeTiles)) {
+			errors.push("modifier 'hazards' must be a whole number from 0 to " + freeTiles + " (tiles off the path)");
+		}
+	}
+
+	errors = errors.concat(validateSpecialTiles(level));
+	errors = errors.concat(validateColorSequence(level));
+	errors = errors.concat(validatePathChoices(level));
+	errors = errors.concat(validateDecoys(level));
+
+	return errors;
+}
+
+/**
+ * Validates the special tile modifiers of a level (teleporters, doubleSteps, bonusTiles)
+ * Teleporters and double-step tiles belong to the path order, so they need an ordered,
+ * unmirrored path; teleporters also need a generated path that doesn't cross itself
+ * @param {Object} level - Resolved level
+ * @returns {Array} Error messages
+ */
+function validateSpecialTiles(level) {
+	var errors = [];
+	var modifiers = level.modifiers;
+	var pathTiles = Array.isArray(level.path) ? level.path.length : level.pathLength;
+	if (typeof pathTiles !== "number") return errors;
+
+	var ordered = ["teleporters", "doubleSteps"];
+	for (var i = 0; i < ordered.length; i++) {
+		if (!(modifiers[ordered[i]] > 0)) continue;
+
+		if (modifiers.collectAll === true) {
+			errors.push("the " + ordered[i] + " modifier can't be combined with collectAll");
+		}
+		if (modifiers.walkMode === Constants.WalkMode.MIRROR) {
+			errors.push("the " + ordered[i] + " modifier can't be combined with the mirror walk mode");
+		}
+	}
+
+	if (typeof modifiers.teleporters === "number") {
+		var maxTeleporters = Math.max(0, Math.floor(pathTiles / 2) - 1);
+		if (!isIntegerInRange(modifiers.teleporters, 0, maxTeleporters)) {
+			errors.push("modifier 'teleporters' must be a whole number from 0 to " + maxTeleporters + " (each walk between jumps needs 2 tiles)");
+		} else if (modifiers.teleporters > 0 && level.path !== null) {
+			errors.push("the teleporters modifier needs a generated path, not a fixed one");
+		} else if (modifiers.teleporters > 0 && modifiers.crossing === true) {
+			errors.push("the teleporters modifier can't be combined with crossing");
+		} else if (modifiers.teleporters > 0 && modifiers.fog === true) {
+			errors.push("the teleporters modifier can't be combined with fog (the far end has to stay visible)");
+		}
+	}
+
+	if (typeof modifiers.doubleSteps === "number" && !isIntegerInRange(modifiers.doubleSteps, 0, Math.max(0, pathTiles - 2))) {
+		errors.push("modifier 'doubleSteps' must be a whole number from 0 to " + Math.max(0, pathTiles - 2) + " (middle tiles of the path)");
+	}
+
+	if (typeof modifiers.bonusTiles === "number" && !(modifiers.bonusTiles >= 0 && Math.floor(modifiers.bonusTiles) === modifiers.bonusTiles)) {
+		errors.push("modifier 'bonusTiles' must be a whole number of 0 or more");
+	}
+
+	// Special tiles are placed around the revealed path, so they'd be left behind when it turns
+	if (modifiers.rotation > 0) {
+		var placed = ["hazards", "teleporters", "doubleSteps", "bonusTiles"];
+		for (var j = 0; j < placed.length; j++) {
+			if (modifiers[placed[j]] > 0) {
+				errors.push("the " + placed[j] + " modifier can't be combined with rotation");
+			}
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Validates the colorSequence modifier of a level
+ * Colour-sequence levels only use the path for its colour order, so modifiers that
+ * change how the path itself is walked don't apply to them
+ * @param {Object} level - Resolved level
+ * @returns {Array} Error messages
+ */
+function validateColorSequence(level) {
+	var errors = [];
+	var colors = level.modifiers.colorSequence;
+	if (typeof colors !== "number" || colors === 0) return errors;
+
+	var minColors = level.topology === Constants.GridTopology.HEX ? 3 : 2;
+	var maxColors = Constants.GridConfig.SEQUENCE_PALETTE.length;
+	if (!isIntegerInRange(colors, minColors, maxColors)) {
+		errors.push("modifier 'colorSequence' must be 0 or a whole number of colours from " + minColors + " to " + maxColors + (minColors > 2 ? " on hex grids" : ""));
+	}
+
+	var others = ["diagonal", "crossing", "collectAll", "hazards", "teleporters", "doubleSteps", "bonusTiles", "numbers", "rotation"];
+	for (var i = 0; i < others.length; i++) {
+		var value = level.modifiers[others[i]];
+		if (value === true || value > 0) {
+			errors.push("the colorSequence modifier can't be combined with " + others[i]);
+		}
+	}
+
+	if (level.modifiers.walkMode && level.modifiers.walkMode !== Constants.WalkMode.FORWARD) {
+		errors.push("the colorSequence modifier can't be combined with the " + level.modifiers.walkMode + " walk mode");
+	}
+
+	return errors;
+}
+
+/**
+ * Validates the paths modifier of a level (multi-path levels)
+ * Only plain ordered paths can be told apart by colour, and every path has to start
+ * on the same tile, so modifiers that place tiles around the path or move its start don't apply
+ * @param {Object} level - Resolved level
+ * @returns {Array} Error messages
+ */
+function validatePathChoices(level) {
+	var errors = [];
+	var paths = level.modifiers.paths;
+	if (typeof paths !== "number" || paths === 0) return errors;
+
+	var maxPaths = Constants.GridConfig.PATH_PALETTE.length;
+	if (!isIntegerInRange(paths, 2, maxPaths)) {
+		errors.push("modifier 'paths' must be 0 or a whole number of paths from 2 to " + maxPaths);
+	}
+	if (level.path !== null) {
+		errors.push("the paths modifier needs a generated path, not a fixed one");
+	}
+
+	var others = ["crossing", "collectAll", "hazards", "teleporters", "doubleSteps", "bonusTiles", "colorSequence", "numbers", "rotation"];
+	for (var i = 0; i < others.length; i++) {
+		var value = level.modifiers[others[i]];
+		if (value === true || value > 0) {
+			errors.push("the paths modifier can't be combined with " + others[i]);
+		}
+	}
+
+	if (level.modifiers.walkMode === Constants.WalkMode.REVERSE) {
+		errors.push("the paths modifier can't be combined with the reverse walk mode");
+	}
+
+	return errors;
+}
+
+/**
+ * Validates the decoys modifier of a level: { count: flashes during the reveal,
+ * duration: seconds each flash lasts (optional), color: [r, g, b] from 0 to 1 (optional),
+ * window: [from, to] part of the reveal the flashes start in, from 0 to 1 (optional) }
+ * Decoys flash while the path reveals tile by tile, so reveals that show everything at once can't have them
+ * @param {Object} level - Resolved level
+ * @returns {Array} Error messages
+ */
+function validateDecoys(level) {
+	var errors = [];
+	var decoys = level.modifiers.decoys;
+	if (typeof decoys !== "object") return errors;
+
+	if (!decoys || Array.isArray(decoys)) {
+		errors.push("modifier 'decoys' must be { count, duration, color, window }");
+		return errors;
+	}
+
+	for (var name in decoys) {
+		if (name !== "count" && name !== "duration" && name !== "color" && name !== "window") {
+			errors.push("unknown decoys setting '" + name + "'");
+		}
+	}
+	if (!(decoys.count >= 1 && Math.floor(decoys.count) === decoys.count)) {
+		errors.push("decoys 'count' must be a whole number of 1 or more");
+	}
+	if (decoys.duration !== undefined && !(typeof decoys.duration === "number" && decoys.duration > 0)) {
+		errors.push("decoys 'duration' must be a positive number of seconds");
+	}
+	if (decoys.color !== undefined) {
+		var color = decoys.color;
+		var validColor = Array.isArray(color) && color.length === 3;
+		for (var c = 0; validColor && c < 3; c++) {
+			validColor = typeof color[c] === "number" && color[c] >= 0 && color[c] <= 1;
+		}
+		if (!validColor) {
+			errors.push("decoys 'color' must be [r, g, b] with values from 0 to 1");
+		}
+	}
+	if (decoys.window !== undefined) {
+		var flashWindow = decoys.window;
+		var validWindow = Array.isArray(flashWindow) && flashWindow.length === 2 && typeof flashWindow[0] === "number" && typeof flashWindow[1] === "number";
+		if (!validWindow || !(flashWindow[0] >= 0 && flashWindow[0] <= flashWindow[1] && flashWindow[1] <= 1)) {
+			errors.push("decoys 'window' must be [from, to] with 0 <= from <= to <= 1");
+		}
+	}
+
+	var others = ["collectAll", "colorSequence", "numbers", "paths"];
+	for (var i = 0; i < others.length; i++) {
+		var value = level.modifiers[others[i]];
+		if (value === true || value > 0) {
+			errors.push("the decoys modifier can't be combined with " + others[i]);
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Validates a mask as written in pack data (a layout or a list of removed tiles)
+ * @param {Array} mask - Mask from the pack
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @returns {Array} Error messages
+ */
+function validateMask(mask, rows, columns) {
+	var errors = [];
+
+	if (!Array.isArray(mask)) {
+		errors.push("mask must be a layout of rows or a list of { x, z } tiles");
+		return errors;
+	}
+
+	if (mask.length > 0 && Array.isArray(mask[0])) {
+		if (mask.length !== rows) {
+			errors.push("mask layout has " + mask.length + " rows, grid has " + rows);
+			return errors;
+		}
+		for (var z = 0; z < mask.length; z++) {
+			if (!Array.isArray(mask[z]) || mask[z].length !== columns) {
+				errors.push("mask row " + z + " must list " + columns + " tiles");
+				continue;
+			}
+			for (var x = 0; x < columns; x++) {
+				var cell = mask[z][x];
+				if (cell !== 0 && cell !== 1 && cell !== true && cell !== false) {
+					errors.push("mask row " + z + " tile " + x + " must be 1/0 or true/false");
+				}
+			}
+		}
+		return errors;
+	}
+
+	for (var i = 0; i < mask.length; i++) {
+		var pos = mask[i];
+		if (!pos || !isIntegerInRange(pos.x, 0, columns - 1) || !isIntegerInRange(pos.z, 0, rows - 1)) {
+			errors.push("mask tile " + i + " is outside the " + columns + "x" + rows + " grid");
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Checks that a tile mask looks the same when flipped across the centre column
+ * @param {Array} mask - Tile mask from MathHelpers.createGridMask
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @returns {boolean} True if symmetric
+ */
+function isMirrorSymmetric(mask, rows, columns) {
+	for (var z = 0; z < rows; z++) {
+		for (var x = 0; x < columns; x++) {
+			if (mask[z][x] !== mask[z][columns - 1 - x]) return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Checks that a tile mask looks the same when turned clockwise
+ * @param {Array} mask - Tile mask from MathHelpers.createGridMask
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {number} rotation - Degrees clockwise (90, 180 or 270)
+ * @returns {boolean} True if symmetric
+ */
+function isRotationSymmetric(mask, rows, columns, rotation) {
+	for (var z = 0; z < rows; z++) {
+		for (var x = 0; x < columns; x++) {
+			var turned = MathHelpers.rotateGridPosition(x, z, rotation, rows, columns);
+			if (mask[z][x] !== mask[turned.z][turned.x]) return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Counts the tiles a path starting at startPos could ever reach
+ * @param {Object} startPos - Start tile {x, z}
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {Object} options - MathHelpers.getNeighbors options { diagonal, mask, topology }
+ * @returns {number} Reachable tile count, including the start tile
+ */
+function countReachableTiles(startPos, rows, columns, options) {
+	var seen = {};
+	var stack = [startPos];
+	var count = 0;
+	seen[startPos.x + "," + startPos.z] = true;
+
+	while (stack.length > 0) {
+		var pos = stack.pop();
+		count++;
+
+		var neighbors = MathHelpers.getNeighbors(pos.x, pos.z, rows, columns, options);
+		for (var i = 0; i < neighbors.length; i++) {
+			var key = neighbors[i].x + "," + neighbors[i].z;
+			if (!seen[key]) {
+				seen[key] = true;
+				stack.push(neighbors[i]);
+			}
+		}
+	}
+
+	return count;
+}
+
+/**
+ * Gets the longest orthogonal path from startPos that never revisits a tile, by checkerboard colour
+ * Each step moves to the other colour, so a path of L tiles uses ceil(L / 2) tiles of the start
+ * tile's colour and floor(L / 2) of the other: at most 2 * min + 1 tiles when the start tile's
+ * colour is the larger group among the reachable tiles, and 2 * min otherwise.
+ * @param {Object} startPos - Start tile {x, z}
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {Array} mask - Tile mask from MathHelpers.createGridMask, or null
+ * @returns {number} Longest path length the colours allow
+ */
+function getCheckerboardPathLimit(startPos, rows, columns, mask) {
+	var startColor = (startPos.x + startPos.z) & 1;
+	var seen = {};
+	var stack = [startPos];
+	var sameColor = 0;
+	var otherColor = 0;
+	seen[startPos.x + "," + startPos.z] = true;
+
+	while (stack.length > 0) {
+		var pos = stack.pop();
+		if (((pos.x + pos.z) & 1) === startColor) {
+			sameColor++;
+		} else {
+			otherColor++;
+		}
+
+		var neighbors = MathHelpers.getNeighbors(pos.x, pos.z, rows, columns, { mask: mask });
+		for (var i = 0; i < neighbors.length; i++) {
+			var key = neighbors[i].x + "," + neighbors[i].z;
+			if (!seen[key]) {
+				seen[key] = true;
+				stack.push(neighbors[i]);
+			}
+		}
+	}
+
+	return sameColor > otherColor ? 2 * otherColor + 1 : 2 * sameColor;
+}
+
+/**
+ * Validates a hand-authored path against its grid
+ * @param {Array} path - Array of grid positions {x, z}
+ * @param {number} rows - Grid rows
+ * @param {number} columns - Grid columns
+ * @param {Object} layout - { diagonal, crossing, mask, topology } (mask from MathHelpers.createGridMask, or null)
+ * @returns {Array} Error messages
+ */
+function validateFixedPath(path, rows, columns, layout) {
+	var errors = [];
+	var mask = layout.mask;
+
+	if (!Array.isArray(path) || path.length < 2) {
+		errors.push("path must list at least 2 tiles");
+		return errors;
+	}
+
+	var seen = {};
+	for (var i = 0; i < path.length; i++) {
+		var pos = path[i];
+		if (!pos || !isIntegerInRange(pos.x, 0, columns - 1) || !isIntegerInRange(pos.z, 0, rows - 1)) {
+			errors.push("path tile " + i + " is outside the " + columns + "x" + rows + " grid");
+			return errors;
+		}
+		if (!MathHelpers.isValidGridPosition(pos.x, pos.z, rows, columns, mask)) {
+			errors.push("path tile " + i + " (" + pos.x + "," + pos.z + ") is masked out");
+		}
+
+		// Crossing paths may pass over a tile again, but never straight back or onto the start tile
+		var key = pos.x + "," + pos.z;
+		if (seen[key] && !layout.crossing) {
+			errors.push("path visits tile (" + key + ") twice (or set the crossing modifier)");
+		} else if (seen[key] >= PathGenerator.MAX_TILE_VISITS) {
+			errors.push("path visits tile (" + key + ") more than " + PathGenerator.MAX_TILE_VISITS + " times");
+		} else if (seen[key] && i >= 2 && path[i - 2].x === pos.x && path[i - 2].z === pos.z) {
+			errors.push("path steps straight back to tile (" + key + ")");
+		} else if (seen[key] && pos.x === path[0].x && pos.z === path[0].z) {
+			errors.push("path comes back to its start tile (" + key + ")");
+		}
+		seen[key] = (seen[key] || 0) + 1;
+	}
+
+	if (!PathGenerator.isValidPath(path, layout)) {
+		var isSquareOnly = !layout.diagonal && layout.topology !== Constants.GridTopology.HEX;
+		errors.push(isSquareOnly ? "path tiles must be orthogonally adjacent (or set the diagonal modifier)" : "path tiles must be adjacent");
+	}
+
+	var start = PathGenerator.getNearEdgeStart(rows, columns, mask);
+	if (path[0].x !== start.x || path[0].z !== start.z) {
+		errors.push("path must start on the start tile (" + start.x + "," + start.z + ")");
+	}
+
+	return errors;
+}
+
+/**
+ * Applies pack defaults to one level (no validation)
+ * @param {Object} pack - Level pack data
+ * @param {number} index - Zero-based level index
+ * @returns {Object} Level with every field present (missing optional fields are null)
+ */
+function resolveLevel(pack, index) {
+	var defaults = pack.defaults || {};
+	var level = pack.levels[index];
+
+	var modifiers = {};
+	copyFields(defaults.modifiers, modifiers);
+	copyFields(level.modifiers, modifiers);
+
+	return {
+		level: index + 1,
+		gridRows: pick(level.gridRows, defaults.gridRows, Constants.GridConfig.DEFAULT_ROWS),
+		gridColumns: pick(level.gridColumns, defaults.gridColumns, Constants.GridConfig.DEFAULT_COLUMNS),
+		mask: pick(level.mask, defaults.mask, null),
+		topology: pick(level.topology, defaults.topology, Constants.GridConfig.TOPOLOGY),
+		pathLength: pick(level.pathLength),
+		path: pick(level.path),
+		memorizeTime: pick(level.memorizeTime, defaults.memorizeTime, Constants.TimingConfig.MEMORIZE_TIME),
+		revealSpeed: pick(level.revealSpeed, defaults.revealSpeed, 1 / Constants.IntroConfig.TILE_REVEAL_DELAY),
+		lives: pick(level.lives, defaults.lives, Constants.LevelConfig.LIVES),
+		difficulty: pick(level.difficulty, defaults.difficulty, null),
+		seed: pick(level.seed),
+		modifiers: modifiers,
+	};
+}
+
+/**
+ * Loads a level pack and makes it the active pack
+ * @param {Object|string} packOrId - Pack data, or the id of a registered pack
+ * @returns {Object} The loaded pack, or null if it is unknown or invalid
+ */
+function loadLevelPack(packOrId) {
+	var pack = packOrId;
+	if (typeof packOrId === "string") {
+		pack = PACKS[packOrId];
+		if (!pack) {
+			print("LevelPackLoader: ERROR - unknown level pack '" + packOrId + "'");
+			return null;
+		}
+	}
+
+	var errors = validateLevelPack(pack);
+	if (errors.length > 0) {
+		var packName = pack && pack.id ? pack.id : "(unnamed)";
+		for (var i = 0; i < errors.length; i++) {
+			print("LevelPackLoader: ERROR - " + packName + " " + errors[i]);
+		}
+		return null;
+	}
+
+	var levels = [];
+	for (var j = 0; j < pack.levels.length; j++) {
+		var level = resolveLevel(pack, j);
+		level.mask = MathHelpers.createGridMask(level.gridRows, level.gridColumns, level.mask);
+		if (level.path) {
+			level.path = copyPath(level.path);
+			level.pathLength = level.path.length;
+		}
+		levels.push(level);
+	}
+
+	activePack = {
+		id: pack.id,
+		name: pack.name || pack.id,
+		mode: pack.mode || Constants.PackMode.LEVELS,
+		growReveal: pack.growReveal || Constants.GrowReveal.NEW_TILE,
+		levels: levels,
+	};
+
+	print("LevelPackLoader: Loaded '" + activePack.name + "' (" + levels.length + " levels)");
+	return activePack;
+}
+
+/**
+ * Gets the active level pack, loading the configured one on first use
+ * Falls back to the classic pack if the configured pack fails to load
+ * @returns {Object} Active pack { id, name, mode, growReveal, levels }
+ */
+function getActivePack() {
+	if (activePack) return activePack;
+
+	if (!loadLevelPack(Constants.LevelConfig.LEVEL_PACK)) {
+		print("LevelPackLoader: WARNING - falling back to the '" + FALLBACK_PACK_ID + "' pack");
+		loadLevelPack(FALLBACK_PACK_ID);
+	}
+	return activePack;
+}
+
+/**
+ * Gets the number of levels in the active pack
+ * @returns {number} Level count
+ */
+function getLevelCount() {
+	return getActivePack().levels.length;
+}
+
+/**
+ * Gets the configuration for a level of the active pack
+ * Levels outside the pack are clamped to the first/last level
+ * @param {number} level - Level number (1-based)
+ * @returns {Object} Level config { level, gridRows, gridColumns, mask, topology, pathLength, path, memorizeTime, revealSpeed, lives, difficulty, seed, modifiers }
+ *   mask is a full tile mask from MathHelpers.createGridMask, or null when every tile exists
+ */
+function getLevel(level) {
+	var levels = getActivePack().levels;
+	var index = Math.max(0, Math.min(levels.length - 1, Math.floor(level) - 1));
+	var config = levels[index];
+
+	var modifiers = {};
+	copyFields(config.modifiers, modifiers);
+
+	// Copy so callers can't change the pack
+	return {
+		level: config.level,
+		gridRows: config.gridRows,
+		gridColumns: config.gridColumns,
+		mask: config.mask ? copyMask(config.mask) : null,
+		topology: config.topology,
+		pathLength: config.pathLength,
+		path: config.path ? copyPath(config.path) : null,
+		memorizeTime: config.memorizeTime,
+		revealSpeed: config.revealSpeed,
+		lives: config.lives,
+		difficulty: config.difficulty ? { min: config.difficulty.min, max: config.difficulty.max } : null,
+		seed: config.seed,
+		modifiers: modifiers,
+	};
+}
+
+/**
+ * Returns the first value that is set (not undefined or null)
+ * @param {*} value - Level value
+ * @param {*} defaultValue - Pack default (optional)
+ * @param {*} fallback - Built-in default (optional)
+ * @returns {*} First set value, or null if none is
+ */
+function pick(value, defaultValue, fallback) {
+	if (value !== undefined && value !== null) return value;
+	if (defaultValue !== undefined && defaultValue !== null) return defaultValue;
+	return fallback !== undefined ? fallback : null;
+}
+
+/**
+ * Copies own fields from one object onto another
+ * @param {Object} from - Source (ignored if not an object)
+ * @param {Object} to - Target
+ */
+function copyFields(from, to) {
+	if (!from || typeof from !== "object") return;
+	for (var key in from) {
+		if (from.hasOwnProperty(key)) {
+			to[key] = from[key];
+		}
+	}
+}
+
+/**
+ * Copies a path so pack data is never shared with the grid
+ * @param {Array} path - Array of grid positions
+ * @returns {Array} New array of {x, z}
+ */
+function copyPath(path) {
+	var copy = [];
+	for (var i = 0; i < path.length; i++) {
+		copy.push({ x: path[i].x, z: path[i].z });
+	}
+	return copy;
+}
+
+/**
+ * Copies a tile mask so pack data is never shared with the grid
+ * @param {Array} mask - 2D array of booleans
+ * @returns {Array} New 2D array
+ */
+function copyMask(mask) {
+	var copy = [];
+	for (var z = 0; z < mask.length; z++) {
+		copy.push(mask[z].slice());
+	}
+	return copy;
+}
+
+/**
+ * Checks that a value is a whole number within [min, max]
+ * @returns {boolean} True if in range
+ */
+function isIntegerInRange(value, min, max) {
+	return typeof value === "number" && Math.floor(value) === value && value >= min && value <= max;
+}
+
+module.exports = {
+	MIN_GRID_SIZE: MIN_GRID_SIZE,
+	MAX_GRID_SIZE: MAX_GRID_SIZE,
+	validateLevelPack: validateLevelPack,
+	loadLevelPack: loadLevelPack,
+	getActivePack: getActivePack,
+	getLevelCount: getLevelCount,
+	getLevel: getLevel,
+};
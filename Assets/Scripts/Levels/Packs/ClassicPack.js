@@ -0,0 +1,36 @@
+// ClassicPack.js
+// The original Memory Grid campaign: 11 levels on a 5x5 grid
+
+/**
+ * Level pack data (loaded and validated by LevelPackLoader)
+ * Path length grows by 2 each level (5, 7, 9 ... 25 = every tile)
+ * Difficulty band rises by 0.02 per level, 0.2 wide
+ * Memorize time is constant at 5 seconds, tiles reveal at 2 per second
+ */
+module.exports = {
+	id: "classic",
+	name: "Classic",
+
+	// Applied to every level unless the level overrides them
+	defaults: {
+		gridRows: 5,
+		gridColumns: 5,
+		memorizeTime: 5,
+		revealSpeed: 2,
+		modifiers: {},
+	},
+
+	levels: [
+		{ pathLength: 5, difficulty: { min: 0.35, max: 0.55 } },
+		{ pathLength: 7, difficulty: { min: 0.37, max: 0.57 } },
+		{ pathLength: 9, difficulty: { min: 0.39, max: 0.59 } },
+		{ pathLength: 11, difficulty: { min: 0.41, max: 0.61 } },
+		{ pathLength: 13, difficulty: { min: 0.43, max: 0.63 } },
+		{ pathLength: 15, difficulty: { min: 0.45, max: 0.65 } },
+		{ pathLength: 17, difficulty: { min: 0.47, max: 0.67 } },
+		{ pathLength: 19, difficulty: { min: 0.49, max: 0.69 } },
+		{ pathLength: 21, difficulty: { min: 0.51, max: 0.71 } },
+		{ pathLength: 23, difficulty: { min: 0.53, max: 0.73 } },
+		{ pathLength: 25, difficulty: { min: 0.55, max: 0.75 } },
+	],
+};
@@ -0,0 +1,41 @@
+// GrowingPack.js
+// Simon-style campaign: one path on a 5x5 grid that grows by a tile every round
+
+/**
+ * Level pack data (loaded and validated by LevelPackLoader)
+ * Each level is a round: the path keeps its tiles and adds one (3, 4, 5 ... 16)
+ * Only the added tile is shown before each new round, then the whole path is walked again
+ * Memorize time is short since there is only one new tile to learn
+ */
+module.exports = {
+	id: "growing",
+	name: "Growing",
+	mode: "growing",
+	growReveal: "new_tile",
+
+	// Applied to every level unless the level overrides them
+	defaults: {
+		gridRows: 5,
+		gridColumns: 5,
+		memorizeTime: 3,
+		revealSpeed: 2,
+		modifiers: {},
+	},
+
+	levels: [
+		{ pathLength: 3 },
+		{ pathLength: 4 },
+		{ pathLength: 5 },
+		{ pathLength: 6 },
+		{ pathLength: 7 },
+		{ pathLength: 8 },
+		{ pathLength: 9 },
+		{ pathLength: 10 },
+		{ pathLength: 11 },
+		{ pathLength: 12 },
+		{ pathLength: 13 },
+		{ pathLength: 14 },
+		{ pathLength: 15 },
+		{ pathLength: 16 },
+	],
+};
@@ -0,0 +1,101 @@
+// FootEstimator.js
+// Estimates where the player's feet are from the camera pose (foot-estimate detection mode)
+
+var Constants = require("../Utils/Constants");
+
+/**
+ * FootEstimator turns camera samples into a floor position for the player's feet.
+ * A straight-down projection puts the feet under the head, so leaning over a tile
+ * looks like standing on it. Looking down tilts the head forward of the feet, so the
+ * estimate is pulled back along the horizontal view direction by up to LEAN_HEAD_OFFSET,
+ * scaled by how far the camera is pitched down. Estimates from the last
+ * FOOT_HISTORY_TIME seconds are averaged, so a quick bob of the head doesn't move the feet.
+ */
+
+/**
+ * Estimates the foot position for a single camera sample
+ * @param {vec3} headPos - Camera world position
+ * @param {vec3} forward - Camera view direction (transform.forward)
+ * @param {number} floorY - Y coordinate of the floor plane
+ * @param {number} leanOffset - Horizontal cm between head and feet when looking straight down
+ * @returns {vec3} Estimated foot position on the floor
+ */
+function estimateFootPosition(headPos, forward, floorY, leanOffset) {
+	// Horizontal view direction (no offset when looking straight up or down with no heading)
+	var fwdX = forward.x;
+	var fwdZ = forward.z;
+	var fwdLen = Math.sqrt(fwdX * fwdX + fwdZ * fwdZ);
+	if (fwdLen < 0.001) {
+		return new vec3(headPos.x, floorY, headPos.z);
+	}
+	fwdX /= fwdLen;
+	fwdZ /= fwdLen;
+
+	// Sine of the downward pitch: 0 looking level (or up), 1 looking straight down
+	var forwardLen = Math.sqrt(forward.x * forward.x + forward.y * forward.y + forward.z * forward.z);
+	var lookDown = Math.max(0, Math.min(1, -forward.y / forwardLen));
+	var offset = leanOffset * lookDown;
+
+	return new vec3(headPos.x - fwdX * offset, floorY, headPos.z - fwdZ * offset);
+}
+
+/**
+ * Creates a foot estimator that smooths foot estimates over recent camera samples
+ * @param {Object} options - Optional settings { leanOffset: cm (default LEAN_HEAD_OFFSET),
+ *   historyTime: seconds of estimates to average (default FOOT_HISTORY_TIME) }
+ * @returns {Object} Estimator { addSample, getFootPosition, reset }
+ */
+function createFootEstimator(options) {
+	var leanOffset = options && options.leanOffset >= 0 ? options.leanOffset : Constants.PlayerConfig.LEAN_HEAD_OFFSET;
+	var historyTime = options && options.historyTime > 0 ? options.historyTime : Constants.PlayerConfig.FOOT_HISTORY_TIME;
+	var samples = [];
+
+	/**
+	 * Adds a camera sample and drops the ones older than the history window
+	 * @param {vec3} headPos - Camera world position
+	 * @param {vec3} forward - Camera view direction (transform.forward)
+	 * @param {number} floorY - Y coordinate of the floor plane
+	 * @param {number} time - Sample time in seconds (e.g. getTime())
+	 */
+	function addSample(headPos, forward, floorY, time) {
+		samples.push({ time: time, position: estimateFootPosition(headPos, forward, floorY, leanOffset) });
+
+		while (samples.length > 1 && time - samples[0].time > historyTime) {
+			samples.shift();
+		}
+	}
+
+	/**
+	 * Gets the smoothed foot position
+	 * @returns {vec3} Average of the recent estimates, or null before the first sample
+	 */
+	function getFootPosition() {
+		if (samples.length === 0) return null;
+
+		var x = 0;
+		var z = 0;
+		for (var i = 0; i < samples.length; i++) {
+			x += samples[i].position.x;
+			z += samples[i].position.z;
+		}
+		return new vec3(x / samples.length, samples[samples.length - 1].position.y, z / samples.length);
+	}
+
+	/**
+	 * Forgets every sample (e.g. when the player is placed somewhere new)
+	 */
+	function reset() {
+		samples = [];
+	}
+
+	return {
+		addSample: addSample,
+		getFootPosition: getFootPosition,
+		reset: reset,
+	};
+}
+
+module.exports = {
+	estimateFootPosition: estimateFootPosition,
+	createFootEstimator: createFootEstimator,
+};
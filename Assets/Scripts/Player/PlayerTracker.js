@@ -17,11 +17,16 @@
 
 var Constants = require("../Utils/Constants");
 var MathHelpers = require("../Utils/MathHelpers");
+var FootEstimator = require("./FootEstimator");
 
 /**
  * PlayerTracker Component
  * Uses collision-based detection: trigger planes at tile centers detect when
  * the player walks through them, filtering out head tilts.
+ * In foot-estimate detection mode a trigger also has to be confirmed by the
+ * estimated foot position (see FootEstimator), so leaning over a tile doesn't count.
+ * With step confirmation on, a tile is only pending until the player has stayed on it
+ * for the dwell time, so a brief wobble onto a neighbouring tile doesn't count either.
  */
 
 // Tracking state
@@ -31,6 +36,11 @@ var trackingState = {
 	pathProgress: 0,
 	stepsOnPath: [],
 	currentTile: null,
+	collected: {}, // Collect-all levels: position key -> true for targets already stepped on
+	pressed: {}, // Double-step tiles: position key -> true once stepped on the first time
+	bonusCollected: {}, // Bonus tiles: position key -> true once collected
+	teleportTarget: null, // Far end of the teleporter just stepped on, while walking over to it
+	rejoinTile: null, // Lives: last correct tile the player walks back to after a forgiven wrong step
 };
 
 // Callbacks
@@ -40,10 +50,58 @@ var callbacks = {
 	onCorrectStep: null,
 	onWrongStep: null,
 	onPathCompleted: null,
+	onBonusCollected: null,
+	onTilePending: null, // Step confirmation: player entered a tile that doesn't count yet
+	onTilePendingCancelled: null, // Step confirmation: player left the pending tile before the dwell time ran out
+	onTileConfirmed: null, // Step confirmation: pending tile counts now, called just before the step is validated
 	onStartZoneEntered: null,
 	onStartZoneExited: null,
 };
 
+// Per-level rules, set from the level's modifiers (see setRules)
+var rules = {
+	diagonal: false, // Path may step diagonally
+	crossing: false, // Path may cross itself, coming back to a tile
+	collectAll: false, // Path tiles are targets, stepped on in any order
+	hazards: false, // Hazard tiles fail the level, every other off-path tile is neutral
+	colorSequence: false, // Step on any tile of the next colour in the sequence
+	rotation: false, // Path turns after memorizing, so the start tile may be across the grid
+	fog: false, // Only the tiles around the player's tile are shown while tracking
+	backtrack: false, // Going back over tiles already walked correctly neither advances nor fails
+};
+
+// Per-tile behaviour hooks, keyed by Constants.TileBehavior (see runTileBehavior)
+// A hook sees every step onto a tile of its type before normal validation
+// and returns true if it fully handled the step
+var behaviorHooks = {};
+behaviorHooks[Constants.TileBehavior.TELEPORT] = handleTeleportStep;
+behaviorHooks[Constants.TileBehavior.DOUBLE_STEP] = handleDoubleStep;
+behaviorHooks[Constants.TileBehavior.BONUS] = handleBonusStep;
+
+// Tile detection (see Constants.DetectionMode and gateTrigger)
+// Foot-estimate mode holds each trigger until the estimated feet reach its tile. Collider mode
+// passes triggers straight on but still checks them against the feet, so both modes report
+// comparable stats
+var detection = {
+	mode: Constants.PlayerConfig.DETECTION_MODE,
+	estimator: FootEstimator.createFootEstimator(),
+	confirmedTile: null, // Tile the estimated feet are on {x, z}, or null
+	pending: {}, // Position key -> { x, z, handled } for triggers the feet haven't confirmed yet
+	stats: { triggers: 0, confirmed: 0, rejected: 0 }, // Since tracking started
+};
+
+// Dwell-time step confirmation (see PlayerConfig.STEP_CONFIRMATION)
+var stepConfirmation = {
+	enabled: Constants.PlayerConfig.STEP_CONFIRMATION_ENABLED,
+	pendingTile: null, // Tile the player entered but hasn't stayed on long enough { x, z, since }
+};
+
+// Tile the player is walking back to while tracking is off (see waitForTile)
+var awaitedTile = {
+	position: null,
+	callback: null,
+};
+
 // Reference to GridManager
 var GridManager = null;
 
@@ -145,11 +203,19 @@ function initialize(floorY) {
 		// Register for trigger events from GridManager
 		if (GridManager.onTriggerEntered) {
 			GridManager.onTriggerEntered(function (gridX, gridZ) {
-				handleTriggerEntered(gridX, gridZ);
+				gateTrigger(gridX, gridZ);
 			});
 		}
 	}
 
+	if (stepConfirmation.enabled && !script.cameraObject) {
+		print("PlayerTracker: WARNING - step confirmation needs the Camera input, steps count as soon as the trigger fires");
+	}
+
+	if (detection.mode === Constants.DetectionMode.FOOT_ESTIMATE && !script.cameraObject) {
+		print("PlayerTracker: WARNING - foot-estimate detection needs the Camera input, using the colliders alone");
+	}
+
 	// Register for collision callbacks from StartZoneVisual
 	if (script.startZoneScript) {
 		script.startZoneScript.onPlayerEntered(function () {
@@ -187,13 +253,116 @@ function handleStartZoneCollisionExit() {
 	}
 }
 
+/**
+ * Samples the camera for the foot estimate every frame, and accepts a held
+ * trigger once the estimated feet reach its tile
+ */
+function updateFootEstimate() {
+	if (!script.cameraObject || !GridManager) return;
+
+	var transform = script.cameraObject.getTransform();
+	detection.estimator.addSample(transform.getWorldPosition(), transform.forward, trackingState.floorY, getTime());
+	detection.confirmedTile = getFootTile();
+	checkPendingTriggers();
+}
+
+/**
+ * Reports the camera pose to the session recorder (it keeps its own sample rate)
+ */
+function recordPose() {
+	if (!script.cameraObject || !global.PathFinder || !global.PathFinder.Recorder) return;
+
+	var transform = script.cameraObject.getTransform();
+	global.PathFinder.Recorder.recordPose(transform.getWorldPosition(), transform.getWorldRotation(), detection.estimator.getFootPosition());
+}
+
+/**
+ * Gets the tile the estimated feet are on
+ * @returns {Object} Grid position {x, z}, or null if the feet aren't within TILE_ENTRY_RADIUS of a tile center
+ */
+function getFootTile() {
+	var footPos = detection.estimator.getFootPosition();
+	if (!footPos) return null;
+
+	var gridPos = GridManager.worldPositionToGrid(footPos);
+	if (!gridPos) return null;
+
+	var tileCenter = GridManager.getTileWorldPosition(gridPos.x, gridPos.z);
+	if (!tileCenter || MathHelpers.horizontalDistance(footPos, tileCenter) > Constants.PlayerConfig.TILE_ENTRY_RADIUS) return null;
+
+	return gridPos;
+}
+
+/**
+ * Gates a tile trigger by the detection mode
+ * Collider mode handles it at once; foot-estimate mode holds it until the feet confirm the tile.
+ * Either way it waits in detection.pending to be counted as confirmed or rejected.
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function gateTrigger(gridX, gridZ) {
+	var passThrough = detection.mode !== Constants.DetectionMode.FOOT_ESTIMATE || !script.cameraObject;
+
+	detection.stats.triggers++;
+	detection.pending[gridX + "," + gridZ] = { x: gridX, z: gridZ, handled: passThrough };
+
+	if (passThrough) {
+		handleTriggerEntered(gridX, gridZ);
+	}
+	checkPendingTriggers();
+}
+
+/**
+ * Settles the held triggers once the feet are on one of their tiles: that trigger is
+ * confirmed (and handled, if it was held), the others were leans or brushes and are rejected
+ * A rejected trigger that was held is re-armed, so stepping onto its tile later still counts
+ */
+function checkPendingTriggers() {
+	var tile = detection.confirmedTile;
+	if (!tile) return;
+
+	var key = tile.x + "," + tile.z;
+	var entry = detection.pending[key];
+	if (!entry) return;
+
+	for (var otherKey in detection.pending) {
+		if (otherKey === key) continue;
+
+		var other = detection.pending[otherKey];
+		detection.stats.rejected++;
+		if (!other.handled && GridManager) {
+			GridManager.resetTriggerAt(other.x, other.z);
+		}
+	}
+
+	detection.pending = {};
+	detection.stats.confirmed++;
+
+	if (!entry.handled) {
+		handleTriggerEntered(entry.x, entry.z);
+	}
+}
+
+/**
+ * Drops the held triggers, counting them as rejected
+ */
+function clearPendingTriggers() {
+	for (var key in detection.pending) {
+		detection.stats.rejected++;
+	}
+	detection.pending = {};
+}
+
 /**
  * Handles when a tile trigger is entered
  * @param {number} gridX - Grid X coordinate
  * @param {number} gridZ - Grid Z coordinate
  */
 function handleTriggerEntered(gridX, gridZ) {
-	if (!trackingState.isTracking) return;
+	if (!trackingState.isTracking) {
+		checkAwaitedTile(gridX, gridZ);
+		return;
+	}
 
 	var newGridPos = { x: gridX, z: gridZ };
 
@@ -202,6 +371,28 @@ function handleTriggerEntered(gridX, gridZ) {
 		return;
 	}
 
+	// Step confirmation: the tile is only pending until the player has stayed on it
+	if (stepConfirmation.enabled && script.cameraObject) {
+		startPendingStep(newGridPos);
+		return;
+	}
+
+	enterTile(newGridPos);
+}
+
+/**
+ * Moves the player onto a tile and validates the step
+ * @param {Object} newGridPos - Grid position {x, z} entered
+ */
+function enterTile(newGridPos) {
+	var gridX = newGridPos.x;
+	var gridZ = newGridPos.z;
+
+	if (trackingState.rejoinTile) {
+		rejoinPath(newGridPos);
+		return;
+	}
+
 	// Update tracking state
 	var previousTile = trackingState.currentTile;
 	trackingState.currentTile = newGridPos;
@@ -217,10 +408,230 @@ function handleTriggerEntered(gridX, gridZ) {
 
 	debugLog("Step: (" + gridX + "," + gridZ + ")");
 
+	// Fog levels: move the visible patch of grid along with the player
+	if (rules.fog) {
+		GridManager.updateFog(newGridPos);
+	}
+
+	// Crossing paths come back to some tiles: re-arm the tile just left so that
+	// walking back onto it later fires again and counts as a new step
+	// Colour-sequence levels may need the same tile again for a later step of its colour
+	// Backtracking levels let the player walk back over any tile, so each one has to fire again
+	if (previousTile && ((rules.crossing && isTileAhead(previousTile)) || rules.colorSequence || rules.backtrack)) {
+		GridManager.resetTriggerAt(previousTile.x, previousTile.z);
+	}
+
 	// Validate the step
 	validateStep(newGridPos);
 }
 
+/**
+ * Lets play go on after a wrong step the player had a life left for
+ * Steps don't count again until the player is back on the last correct tile
+ * (or anywhere, if there is none yet); tiles crossed on the way are ignored
+ * @param {Object} gridPos - Grid position of the wrong step
+ */
+function forgiveWrongStep(gridPos) {
+	if (!trackingState.isTracking || !GridManager) return;
+
+	// The wrong tile may be on the path further on, so it has to fire again
+	GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+
+	var steps = trackingState.stepsOnPath;
+	var lastCorrect = steps.length > 0 ? steps[steps.length - 1] : null;
+	trackingState.rejoinTile = lastCorrect;
+	if (lastCorrect) {
+		GridManager.resetTriggerAt(lastCorrect.x, lastCorrect.z);
+	}
+
+	debugLog("Forgiven - back to " + (lastCorrect ? "(" + lastCorrect.x + "," + lastCorrect.z + ")" : "the start"));
+}
+
+/**
+ * Handles a tile entered while walking back to the last correct tile after a forgiven wrong step
+ * @param {Object} gridPos - Grid position {x, z} entered
+ */
+function rejoinPath(gridPos) {
+	trackingState.currentTile = gridPos;
+
+	if (rules.fog) {
+		GridManager.updateFog(gridPos);
+	}
+
+	if (!MathHelpers.isSameGridPosition(gridPos, trackingState.rejoinTile)) {
+		// Re-arm so the tile still counts once play goes on
+		GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+		debugLog("Rejoining - (" + gridPos.x + "," + gridPos.z + ") ignored");
+		return;
+	}
+
+	trackingState.rejoinTile = null;
+	debugLog("Back on (" + gridPos.x + "," + gridPos.z + ")");
+}
+
+/**
+ * Makes a tile the pending step, replacing any other pending tile
+ * @param {Object} gridPos - Grid position {x, z} entered
+ */
+function startPendingStep(gridPos) {
+	if (stepConfirmation.pendingTile) {
+		cancelPendingStep();
+	}
+
+	stepConfirmation.pendingTile = { x: gridPos.x, z: gridPos.z, since: getTime() };
+
+	if (callbacks.onTilePending) {
+		callbacks.onTilePending(gridPos);
+	}
+}
+
+/**
+ * Confirms the pending step once the player has stayed on its tile for the dwell time
+ * While the player is still within the exit margin of the tile they came from, they
+ * haven't left it, so the dwell time only starts counting once they're past it
+ */
+function updateStepConfirmation() {
+	var pending = stepConfirmation.pendingTile;
+	if (!pending || !trackingState.isTracking || !GridManager) return;
+
+	var settings = getStepConfirmationSettings();
+	var position = getTrackedPosition();
+
+	// Back off the tile before the dwell time ran out (a wobble), so the step never happened
+	if (!isWithinTile(position, pending, settings.exitMargin)) {
+		cancelPendingStep();
+		return;
+	}
+
+	if (trackingState.currentTile && isWithinTile(position, trackingState.currentTile, settings.exitMargin)) {
+		pending.since = getTime();
+		return;
+	}
+
+	if ((getTime() - pending.since) * 1000 >= settings.dwellTime) {
+		var gridPos = { x: pending.x, z: pending.z };
+		stepConfirmation.pendingTile = null;
+
+		if (callbacks.onTileConfirmed) {
+			callbacks.onTileConfirmed(gridPos);
+		}
+		enterTile(gridPos);
+	}
+}
+
+/**
+ * Drops the pending step and re-arms its trigger, so stepping onto the tile again still counts
+ */
+function cancelPendingStep() {
+	var pending = stepConfirmation.pendingTile;
+	if (!pending) return;
+
+	var gridPos = { x: pending.x, z: pending.z };
+	stepConfirmation.pendingTile = null;
+
+	if (GridManager) {
+		GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+	}
+	if (callbacks.onTilePendingCancelled) {
+		callbacks.onTilePendingCancelled(gridPos);
+	}
+}
+
+/**
+ * Gets the step confirmation settings for the grid's tile size (internal helper)
+ * @returns {Object} { dwellTime: ms, exitMargin: cm } of the closest tile size in PlayerConfig.STEP_CONFIRMATION
+ */
+function getStepConfirmationSettings() {
+	var tileSize = GridManager.getGridConfig().tileSize;
+	var table = Constants.PlayerConfig.STEP_CONFIRMATION;
+	var best = null;
+	var bestDiff = Infinity;
+
+	for (var size in table) {
+		var diff = Math.abs(Number(size) - tileSize);
+		if (diff < bestDiff) {
+			bestDiff = diff;
+			best = table[size];
+		}
+	}
+	return best || { dwellTime: 0, exitMargin: 0 };
+}
+
+/**
+ * Gets the floor position tile checks use: the estimated feet in foot-estimate
+ * detection mode, otherwise straight below the camera (internal helper)
+ * @returns {vec3} Position on the floor
+ */
+function getTrackedPosition() {
+	var footPos = detection.mode === Constants.DetectionMode.FOOT_ESTIMATE ? detection.estimator.getFootPosition() : null;
+	return footPos || getFloorPosition();
+}
+
+/**
+ * Checks if a floor position is on a tile, allowing a margin past its edge (internal helper)
+ * @param {vec3} position - Position on the floor
+ * @param {Object} gridPos - Grid position {x, z}
+ * @param {number} margin - cm past the tile edge that still counts as on it
+ * @returns {boolean} True if the position is within half a tile plus the margin of the tile center
+ */
+function isWithinTile(position, gridPos, margin) {
+	var tileCenter = GridManager.getTileWorldPosition(gridPos.x, gridPos.z);
+	if (!tileCenter) return false;
+
+	return MathHelpers.horizontalDistance(position, tileCenter) <= GridManager.getGridConfig().tileSize / 2 + margin;
+}
+
+/**
+ * Checks if a tile is still to come on the walk path (from the next expected step on)
+ * @param {Object} gridPos - Grid position {x, z}
+ * @returns {boolean} True if the player must step on the tile again
+ */
+function isTileAhead(gridPos) {
+	if (!GridManager) return false;
+
+	var path = GridManager.getWalkPath();
+	for (var i = trackingState.pathProgress; i < path.length; i++) {
+		if (MathHelpers.isSameGridPosition(gridPos, path[i])) return true;
+	}
+	return false;
+}
+
+/**
+ * Fires the waitForTile callback when the player reaches the awaited tile
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function checkAwaitedTile(gridX, gridZ) {
+	if (!awaitedTile.position || !MathHelpers.isSameGridPosition(awaitedTile.position, { x: gridX, z: gridZ })) return;
+
+	var callback = awaitedTile.callback;
+	awaitedTile.position = null;
+	awaitedTile.callback = null;
+
+	debugLog("Reached (" + gridX + "," + gridZ + ")");
+
+	if (callback) {
+		callback({ x: gridX, z: gridZ });
+	}
+}
+
+/**
+ * Waits for the player to walk onto a tile while tracking is off
+ * Other tiles stepped on along the way are ignored
+ * Used by growing packs, where the next round starts back on the grid
+ * @param {Object} gridPos - Tile to wait for {x, z}
+ * @param {Function} callback - Function(gridPos) called once when the tile is entered
+ */
+function waitForTile(gridPos, callback) {
+	awaitedTile.position = gridPos;
+	awaitedTile.callback = callback;
+
+	// The tile may already have fired this round
+	if (GridManager && GridManager.resetTriggers) {
+		GridManager.resetTriggers();
+	}
+}
+
 /**
  * Validates if the player stepped on the correct tile
  * @param {Object} gridPos - The grid position stepped on
@@ -228,7 +639,8 @@ function handleTriggerEntered(gridX, gridZ) {
 function validateStep(gridPos) {
 	if (!GridManager) return;
 
-	var path = GridManager.getPath();
+	// Validate against the path as it must be walked (reversed or mirrored in those walk modes)
+	var path = GridManager.getWalkPath();
 	if (path.length === 0) return;
 
 	// Debug mode: stepping on the end tile instantly completes the level
@@ -261,6 +673,40 @@ function validateStep(gridPos) {
 		return;
 	}
 
+	// Walking over to the far end of a teleporter: tiles on the way don't count (hazards still do)
+	if (trackingState.teleportTarget) {
+		if (MathHelpers.isSameGridPosition(gridPos, trackingState.teleportTarget)) {
+			trackingState.teleportTarget = null;
+		} else if (!GridManager.isHazardTile(gridPos.x, gridPos.z)) {
+			// Re-arm the tile, it may still be on the path ahead (or a bonus tile)
+			GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+			debugLog("Teleporting over (" + gridPos.x + "," + gridPos.z + ")");
+			return;
+		}
+	}
+
+	// Backtracking levels: a tile already walked gets a pulse, but neither advances nor fails
+	if (rules.backtrack && isBacktrackStep(gridPos, path)) {
+		GridManager.pulseTile(gridPos.x, gridPos.z);
+		debugLog("Backtrack (" + gridPos.x + "," + gridPos.z + ") ignored");
+		return;
+	}
+
+	// Special tiles get the step before normal validation
+	if (runTileBehavior(gridPos, path)) return;
+
+	// Collect-all levels: any remaining target counts
+	if (rules.collectAll) {
+		validateCollectStep(gridPos, path);
+		return;
+	}
+
+	// Colour-sequence levels: any tile of the next colour counts
+	if (rules.colorSequence) {
+		validateColorStep(gridPos, path);
+		return;
+	}
+
 	// Normal mode: validate against expected path position
 	var expectedPos = path[trackingState.pathProgress];
 
@@ -288,6 +734,17 @@ function validateStep(gridPos) {
 			// Not the last step - play progressive step sound
 			playStepSound(trackingState.pathProgress);
 		}
+	} else if (rules.diagonal && isDiagonalCornerTile(gridPos, path, trackingState.pathProgress)) {
+		// Walking a diagonal step brushes the two tiles beside it - not a wrong step
+		// Re-arm the trigger so the tile still counts if the player really steps there later
+		GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+
+		debugLog("Corner (" + gridPos.x + "," + gridPos.z + ") ignored");
+	} else if (isNeutralTile(gridPos, path)) {
+		// Hazard levels: stepping off the path is fine, only hazards fail
+		// Re-arm the trigger so a tile crossed on the way to a turned start tile still counts later
+		GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+		debugLog("Neutral (" + gridPos.x + "," + gridPos.z + ") ignored");
 	} else {
 		// Wrong step
 		GridManager.markTileWrong(gridPos.x, gridPos.z);
@@ -300,14 +757,312 @@ function validateStep(gridPos) {
 	}
 }
 
+/**
+ * Checks if a step goes back onto a tile already walked correctly
+ * A tile that is also the next step (a crossing path, or a tile of the next colour) is a real step
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ * @returns {boolean} True if the tile is in stepsOnPath and isn't the next step
+ */
+function isBacktrackStep(gridPos, path) {
+	var walked = false;
+	for (var i = 0; i < trackingState.stepsOnPath.length; i++) {
+		if (MathHelpers.isSameGridPosition(gridPos, trackingState.stepsOnPath[i])) {
+			walked = true;
+			break;
+		}
+	}
+	if (!walked) return false;
+
+	if (rules.collectAll) return true;
+	if (rules.colorSequence) {
+		return GridManager.getTileColorId(gridPos.x, gridPos.z) !== GridManager.getColorSequence()[trackingState.pathProgress];
+	}
+	return !MathHelpers.isSameGridPosition(gridPos, path[trackingState.pathProgress]);
+}
+
+/**
+ * Runs the behaviour hook of the tile stepped on, if it has one
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ * @returns {boolean} True if the hook handled the step (skip normal validation)
+ */
+function runTileBehavior(gridPos, path) {
+	var hook = behaviorHooks[GridManager.getTileBehavior(gridPos.x, gridPos.z)];
+	if (!hook) return false;
+
+	var expectedPos = path[trackingState.pathProgress];
+	var isExpected = !!expectedPos && MathHelpers.isSameGridPosition(gridPos, expectedPos);
+	return hook(gridPos, path, isExpected) === true;
+}
+
+/**
+ * Teleporter hook: stepping on the near end sends the player over to the far end,
+ * which lights up. The step itself is validated as usual.
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ * @param {boolean} isExpected - Whether the tile is the next step on the path
+ * @returns {boolean} Always false
+ */
+function handleTeleportStep(gridPos, path, isExpected) {
+	var next = path[trackingState.pathProgress + 1];
+	var pair = GridManager.getTileAt(gridPos.x, gridPos.z).teleportPair;
+
+	if (isExpected && next && pair && MathHelpers.isSameGridPosition(next, pair)) {
+		trackingState.teleportTarget = next;
+		GridManager.showTileBehavior(next.x, next.z);
+		debugLog("TELEPORT to (" + next.x + "," + next.z + ")");
+	}
+	return false;
+}
+
+/**
+ * Double-step hook: the first press only lights the tile up, the player has to
+ * step off and back on for it to count
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ * @param {boolean} isExpected - Whether the tile is the next step on the path
+ * @returns {boolean} True on the first press
+ */
+function handleDoubleStep(gridPos, path, isExpected) {
+	var key = gridPos.x + "," + gridPos.z;
+	if (!isExpected || trackingState.pressed[key]) return false;
+
+	trackingState.pressed[key] = true;
+
+	// Re-arm the trigger (it only fires on entry) and forget the tile,
+	// so stepping back onto it counts as a new step
+	GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+	trackingState.currentTile = null;
+
+	GridManager.showTileBehavior(gridPos.x, gridPos.z);
+	playStepSound(trackingState.pathProgress + 1);
+
+	debugLog("PRESS AGAIN (" + gridPos.x + "," + gridPos.z + ")");
+	return true;
+}
+
+/**
+ * Bonus hook: collects the tile once for extra score, never a wrong step
+ * @param {Object} gridPos - The grid position stepped on
+ * @returns {boolean} Always true
+ */
+function handleBonusStep(gridPos) {
+	var key = gridPos.x + "," + gridPos.z;
+	if (trackingState.bonusCollected[key]) return true;
+
+	trackingState.bonusCollected[key] = true;
+	GridManager.markTileCorrect(gridPos.x, gridPos.z);
+
+	debugLog("BONUS (" + gridPos.x + "," + gridPos.z + ")");
+
+	if (callbacks.onBonusCollected) {
+		callbacks.onBonusCollected(gridPos);
+	}
+	return true;
+}
+
+/**
+ * Validates a step on a colour-sequence level
+ * The path only sets the colour order: stepping on any tile of the next colour
+ * is correct, any other colour is wrong. Correct tiles pulse but keep their colour.
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ */
+function validateColorStep(gridPos, path) {
+	var sequence = GridManager.getColorSequence();
+	var expectedColor = sequence[trackingState.pathProgress];
+	var color = GridManager.getTileColorId(gridPos.x, gridPos.z);
+
+	if (color !== expectedColor) {
+		GridManager.markTileWrong(gridPos.x, gridPos.z);
+
+		debugLog("WRONG - " + color + ", expected " + expectedColor);
+
+		if (callbacks.onWrongStep) {
+			callbacks.onWrongStep(gridPos, null);
+		}
+		return;
+	}
+
+	trackingState.stepsOnPath.push(gridPos);
+	trackingState.pathProgress++;
+
+	GridManager.pulseTile(gridPos.x, gridPos.z);
+
+	debugLog("CORRECT " + color + " " + trackingState.pathProgress + "/" + sequence.length);
+
+	if (callbacks.onCorrectStep) {
+		callbacks.onCorrectStep(gridPos, trackingState.pathProgress, sequence.length);
+	}
+
+	if (trackingState.pathProgress >= sequence.length) {
+		debugLog("SEQUENCE COMPLETE!");
+		playCompletionSound();
+		if (callbacks.onPathCompleted) {
+			callbacks.onPathCompleted(trackingState.stepsOnPath);
+		}
+	} else {
+		playStepSound(trackingState.pathProgress);
+	}
+}
+
+/**
+ * Checks if stepping on a tile is neither right nor wrong
+ * On hazard levels only the hazards fail the level; other tiles off the path are neutral.
+ * Path tiles stepped on out of order are still wrong steps.
+ * On rotation levels every tile is neutral until the player reaches the (turned) start tile.
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path
+ * @returns {boolean} True if the step should be ignored
+ */
+function isNeutralTile(gridPos, path) {
+	if (rules.rotation && trackingState.pathProgress === 0) return true;
+	if (!rules.hazards || GridManager.isHazardTile(gridPos.x, gridPos.z)) return false;
+
+	for (var i = 0; i < path.length; i++) {
+		if (MathHelpers.isSameGridPosition(gridPos, path[i])) return false;
+	}
+
+	return true;
+}
+
+/**
+ * Validates a step on a collect-all level, where the path tiles form a set
+ * Any target not yet collected is correct, a tile off the path is wrong
+ * (neutral on hazard levels), and walking over an already collected target is ignored
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current walk path (the targets)
+ */
+function validateCollectStep(gridPos, path) {
+	var key = gridPos.x + "," + gridPos.z;
+	if (trackingState.collected[key]) return;
+
+	var targets = countTargets(path);
+	var isTarget = false;
+	for (var i = 0; i < path.length; i++) {
+		if (MathHelpers.isSameGridPosition(gridPos, path[i])) {
+			isTarget = true;
+			break;
+		}
+	}
+
+	if (!isTarget && isNeutralTile(gridPos, path)) {
+		GridManager.resetTriggerAt(gridPos.x, gridPos.z);
+		debugLog("Neutral (" + gridPos.x + "," + gridPos.z + ") ignored");
+		return;
+	}
+
+	if (!isTarget) {
+		GridManager.markTileWrong(gridPos.x, gridPos.z);
+
+		debugLog("WRONG - not a target");
+
+		if (callbacks.onWrongStep) {
+			callbacks.onWrongStep(gridPos, null);
+		}
+		return;
+	}
+
+	trackingState.collected[key] = true;
+	trackingState.stepsOnPath.push(gridPos);
+	trackingState.pathProgress++;
+
+	GridManager.markTileCorrect(gridPos.x, gridPos.z);
+
+	debugLog("COLLECTED " + trackingState.pathProgress + "/" + targets);
+
+	if (callbacks.onCorrectStep) {
+		callbacks.onCorrectStep(gridPos, trackingState.pathProgress, targets);
+	}
+
+	if (trackingState.pathProgress >= targets) {
+		debugLog("ALL COLLECTED!");
+		playCompletionSound();
+		if (callbacks.onPathCompleted) {
+			callbacks.onPathCompleted(trackingState.stepsOnPath);
+		}
+	} else {
+		playStepSound(trackingState.pathProgress);
+	}
+}
+
+/**
+ * Counts the distinct tiles on a path (a crossing path lists some twice)
+ * @param {Array} path - Array of grid positions
+ * @returns {number} Number of different tiles
+ */
+function countTargets(path) {
+	var seen = {};
+	var count = 0;
+	for (var i = 0; i < path.length; i++) {
+		var key = path[i].x + "," + path[i].z;
+		if (!seen[key]) {
+			seen[key] = true;
+			count++;
+		}
+	}
+	return count;
+}
+
+/**
+ * Checks if a tile is one of the two corner tiles beside a diagonal step
+ * Only the step just taken and the step about to be taken are considered
+ * @param {Object} gridPos - The grid position stepped on
+ * @param {Array} path - Current path
+ * @param {number} progress - Number of correct steps so far
+ * @returns {boolean} True if the tile sits beside the diagonal
+ */
+function isDiagonalCornerTile(gridPos, path, progress) {
+	var lastStep = Math.min(progress, path.length - 1);
+
+	for (var i = Math.max(1, progress - 1); i <= lastStep; i++) {
+		var from = path[i - 1];
+		var to = path[i];
+		if (Math.abs(from.x - to.x) !== 1 || Math.abs(from.z - to.z) !== 1) continue;
+
+		if ((gridPos.x === from.x && gridPos.z === to.z) || (gridPos.x === to.x && gridPos.z === from.z)) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Applies the current level's modifiers to step validation
+ * @param {Object} modifiers - Level modifiers from the level pack (missing = defaults)
+ */
+function setRules(modifiers) {
+	modifiers = modifiers || {};
+	rules.diagonal = modifiers.diagonal === true;
+	rules.crossing = modifiers.crossing === true;
+	rules.collectAll = modifiers.collectAll === true;
+	rules.hazards = modifiers.hazards > 0;
+	rules.colorSequence = modifiers.colorSequence > 0;
+	rules.rotation = modifiers.rotation > 0;
+	rules.fog = modifiers.fog === true;
+	rules.backtrack = modifiers.backtrack === true;
+}
+
 /**
  * Starts tracking player position
+ * @param {Object} options - Optional settings { onStartTile: the player is already standing on the
+ *   first tile of the walk path (growing packs), so it counts as the first correct step }
  */
-function startTracking() {
+function startTracking(options) {
 	trackingState.isTracking = true;
 	trackingState.pathProgress = 0;
 	trackingState.stepsOnPath = [];
 	trackingState.currentTile = null;
+	trackingState.collected = {};
+	trackingState.pressed = {};
+	trackingState.bonusCollected = {};
+	trackingState.teleportTarget = null;
+	trackingState.rejoinTile = null;
+	detection.pending = {};
+	detection.stats = { triggers: 0, confirmed: 0, rejected: 0 };
+	cancelPendingStep();
 
 	// Reset triggers right before tracking starts
 	// This ensures triggers fired while walking back to start are cleared
@@ -315,6 +1070,23 @@ function startTracking() {
 		GridManager.resetTriggers();
 	}
 
+	// Standing on the start tile won't fire its trigger again, so count it now
+	if (options && options.onStartTile && GridManager) {
+		var startPos = GridManager.getPathStartPosition();
+		if (startPos) {
+			trackingState.pathProgress = 1;
+			trackingState.stepsOnPath.push(startPos);
+			trackingState.currentTile = startPos;
+			trackingState.collected[startPos.x + "," + startPos.z] = true;
+			GridManager.markTileCorrect(startPos.x, startPos.z);
+		}
+	}
+
+	// Fog levels hide the grid from the first frame of play, apart from the player's surroundings
+	if (rules.fog && GridManager) {
+		GridManager.updateFog(trackingState.currentTile);
+	}
+
 	debugLog("Tracking started");
 }
 
@@ -322,7 +1094,18 @@ function startTracking() {
  * Stops tracking player position
  */
 function stopTracking() {
+	if (trackingState.isTracking) {
+		clearPendingTriggers();
+		cancelPendingStep();
+		var stats = detection.stats;
+		debugLog("Detection (" + detection.mode + ") - " + stats.triggers + " tile triggers, " + stats.confirmed + " confirmed by the feet, " + stats.rejected + " not");
+	}
 	trackingState.isTracking = false;
+
+	// The level is over, so the fog lifts
+	if (rules.fog && GridManager) {
+		GridManager.clearFog();
+	}
 }
 
 /**
@@ -332,6 +1115,14 @@ function reset() {
 	trackingState.currentTile = null;
 	trackingState.pathProgress = 0;
 	trackingState.stepsOnPath = [];
+	trackingState.collected = {};
+	trackingState.pressed = {};
+	trackingState.bonusCollected = {};
+	trackingState.teleportTarget = null;
+	trackingState.rejoinTile = null;
+	stepConfirmation.pendingTile = null;
+	awaitedTile.position = null;
+	awaitedTile.callback = null;
 
 	// Reset triggers for next round
 	if (GridManager && GridManager.resetTriggers) {
@@ -365,6 +1156,61 @@ function getFloorPosition() {
 	return MathHelpers.projectToFloor(cameraPos, trackingState.floorY);
 }
 
+/**
+ * Sets how tile triggers are accepted, e.g. to compare false positives between modes
+ * @param {string} mode - Constants.DetectionMode value
+ */
+function setDetectionMode(mode) {
+	if (mode !== Constants.DetectionMode.COLLIDER && mode !== Constants.DetectionMode.FOOT_ESTIMATE) {
+		print("PlayerTracker: ERROR - unknown detection mode '" + mode + "'");
+		return;
+	}
+	detection.mode = mode;
+	detection.pending = {};
+}
+
+/**
+ * Turns dwell-time step confirmation on or off
+ * @param {boolean} enabled - True to make steps wait out the dwell time before they count
+ */
+function setStepConfirmation(enabled) {
+	stepConfirmation.enabled = enabled === true;
+	if (!stepConfirmation.enabled) {
+		cancelPendingStep();
+	}
+}
+
+/**
+ * Gets the tile the player is on but hasn't been confirmed on yet
+ * @returns {Object} Grid position {x, z}, or null if no step is pending
+ */
+function getPendingTile() {
+	var pending = stepConfirmation.pendingTile;
+	return pending ? { x: pending.x, z: pending.z } : null;
+}
+
+/**
+ * Gets the detection stats since tracking last started
+ * Rejected triggers are the ones the estimated feet never reached (in collider mode they still counted)
+ * @returns {Object} { mode, triggers, confirmed, rejected }
+ */
+function getDetectionStats() {
+	return {
+		mode: detection.mode,
+		triggers: detection.stats.triggers,
+		confirmed: detection.stats.confirmed,
+		rejected: detection.stats.rejected,
+	};
+}
+
+/**
+ * Gets the estimated position of the player's feet (see FootEstimator)
+ * @returns {vec3} Foot position on the floor, or null before the camera was sampled
+ */
+function getFootPosition() {
+	return detection.estimator.getFootPosition();
+}
+
 /**
  * Gets whether player is currently in start zone
  */
@@ -426,6 +1272,22 @@ function onPathCompleted(callback) {
 	callbacks.onPathCompleted = callback;
 }
 
+function onBonusCollected(callback) {
+	callbacks.onBonusCollected = callback;
+}
+
+function onTilePending(callback) {
+	callbacks.onTilePending = callback;
+}
+
+function onTilePendingCancelled(callback) {
+	callbacks.onTilePendingCancelled = callback;
+}
+
+function onTileConfirmed(callback) {
+	callbacks.onTileConfirmed = callback;
+}
+
 function onStartZoneEntered(callback) {
 	callbacks.onStartZoneEntered = callback;
 }
@@ -434,14 +1296,30 @@ function onStartZoneExited(callback) {
 	callbacks.onStartZoneExited = callback;
 }
 
+// Sample the camera every frame for the foot estimate, the pending step and session recordings
+var footEstimateEvent = script.createEvent("UpdateEvent");
+footEstimateEvent.bind(function () {
+	updateFootEstimate();
+	updateStepConfirmation();
+	recordPose();
+});
+
 // Export API
 script.initialize = initialize;
 script.startTracking = startTracking;
 script.stopTracking = stopTracking;
 script.reset = reset;
+script.waitForTile = waitForTile;
+script.forgiveWrongStep = forgiveWrongStep;
 script.resetStartZoneState = resetStartZoneState;
+script.setRules = setRules;
 script.getCameraWorldPosition = getCameraWorldPosition;
 script.getFloorPosition = getFloorPosition;
+script.getFootPosition = getFootPosition;
+script.setDetectionMode = setDetectionMode;
+script.getDetectionStats = getDetectionStats;
+script.setStepConfirmation = setStepConfirmation;
+script.getPendingTile = getPendingTile;
 script.getCurrentGridPosition = getCurrentGridPosition;
 script.isPlayerInStartZone = isPlayerInStartZone;
 script.getTrackingState = getTrackingState;
@@ -452,6 +1330,10 @@ script.onTileExited = onTileExited;
 script.onCorrectStep = onCorrectStep;
 script.onWrongStep = onWrongStep;
 script.onPathCompleted = onPathCompleted;
+script.onBonusCollected = onBonusCollected;
+script.onTilePending = onTilePending;
+script.onTilePendingCancelled = onTilePendingCancelled;
+script.onTileConfirmed = onTileConfirmed;
 script.onStartZoneEntered = onStartZoneEntered;
 script.onStartZoneExited = onStartZoneExited;
 
@@ -146,19 +146,19 @@ var achievementsData = [
 	{ id: "first_steps", name: "First Steps", description: "Complete Level 1", unlocked: false },
 	{ id: "getting_warmer", name: "Getting Warmer", description: "Complete Level 3", unlocked: false },
 	{ id: "memory_walker", name: "Memory Walker", description: "Complete Level 5", unlocked: false },
-	{ id: "grid_expert", name: "Grid Expert", description: "Complete Level 8", unlocked: false },
-	{ id: "grid_master", name: "Grid Master", description: "Complete all 11 levels", unlocked: false },
+	{ id: "grid_expert", name: "Grid Expert", description: "Reach the final stretch", unlocked: false },
+	{ id: "grid_master", name: "Grid Master", description: "Complete every level", unlocked: false },
 
 	// Flawless
-	{ id: "clean_start", name: "Clean Start", description: "Complete Level 1 on first try", unlocked: false },
-	{ id: "flawless_five", name: "Flawless Five", description: "Complete Levels 1-5 without retries", unlocked: false },
-	{ id: "no_mistakes", name: "No Mistakes", description: "Complete all 11 levels without retries", unlocked: false },
-	{ id: "deep_focus", name: "Deep Focus", description: "Complete a Level 6+ on first try", unlocked: false },
+	{ id: "clean_start", name: "Clean Start", description: "Complete Level 1 without a mistake", unlocked: false },
+	{ id: "flawless_five", name: "Flawless Five", description: "Complete Levels 1-5 without mistakes", unlocked: false },
+	{ id: "no_mistakes", name: "No Mistakes", description: "Complete every level without mistakes", unlocked: false },
+	{ id: "deep_focus", name: "Deep Focus", description: "Complete a level past halfway on first try", unlocked: false },
 
 	// Persistence
 	{ id: "quick_learner", name: "Quick Learner", description: "Complete a level after 1 retry", unlocked: false },
 	{ id: "comeback_kid", name: "Comeback Kid", description: "Complete a level after 3+ retries", unlocked: false },
-	{ id: "never_give_up", name: "Never Give Up", description: "Beat Level 11 with 5+ total retries", unlocked: false },
+	{ id: "never_give_up", name: "Never Give Up", description: "Beat the final level with 5+ total retries", unlocked: false },
 ];
 
 // ═══════════════════════════════════════════════════════════════════
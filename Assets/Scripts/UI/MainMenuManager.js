@@ -3,6 +3,7 @@
 // Uses Spectacles UI Kit for button interactions
 
 var Constants = require("../Utils/Constants");
+var LevelPackLoader = require("../Levels/LevelPackLoader");
 
 // @input SceneObject interfaceContainer {"label": "Interface Container", "hint": "Top-level parent (Interface) that contains Menu and Achievements"}
 // @input SceneObject menuContainer {"label": "Menu Container", "hint": "Menu content container"}
@@ -309,10 +310,11 @@ function updateLevelDisplay() {
 
 	// Update level text
 	if (script.levelText) {
-		if (currentLevel > 11) {
+		var levelCount = LevelPackLoader.getLevelCount();
+		if (currentLevel > levelCount) {
 			script.levelText.text = "All Levels Complete!";
 		} else {
-			script.levelText.text = "Level " + currentLevel + " of 11";
+			script.levelText.text = "Level " + currentLevel + " of " + levelCount;
 		}
 	}
 
@@ -10,8 +10,18 @@ var DebugConfig = {
 
 	// Skip path validation - stepping on ANY tile immediately completes the level
 	// Only the end tile (last tile in path) needs to be reached
-	// Use this to quickly test all 11 levels without memorizing paths
+	// Use this to quickly test every level of the pack without memorizing paths
 	SKIP_PATH_CHECK: false,
+
+	// Force every level to generate from this seed (null = fresh random seed per attempt)
+	// Copy a seed from the "setupLevel" log to replay the exact path a tester saw
+	FIXED_SEED: null,
+
+	// Record camera pose, tile triggers, state changes and paths to persistent storage (see SessionRecorder)
+	// Use it to check what a tester actually did when a tile registered unexpectedly
+	RECORD_SESSION: false,
+	RECORD_SAMPLE_RATE: 10, // Camera pose samples per second
+	RECORD_MAX_EVENTS: 2000, // Events kept, the oldest are dropped first
 };
 
 /**
@@ -42,6 +52,9 @@ var GridConfig = {
 	// Opacity for dimmed background tiles (0-1)
 	DIMMED_ALPHA: 0.15,
 
+	// Opacity for tiles hidden by fog on fog levels (0-1), low enough that the grid edges give nothing away
+	FOG_ALPHA: 0.04,
+
 	// Subtle idle pulse settings
 	IDLE_PULSE_ENABLED: false,
 	IDLE_PULSE_ALL_TILES: true, // true = pulse all tile states, false = pulse default white tiles only
@@ -49,6 +62,9 @@ var GridConfig = {
 	IDLE_PULSE_MIN_ALPHA: 0.3, // Pulse floor alpha
 	IDLE_PULSE_MAX_ALPHA: 0.8, // Pulse ceiling alpha
 
+	// Tile layout: "square" or "hex" (see GridTopology), levels may override it
+	TOPOLOGY: "square",
+
 	// Colors (RGBA values 0-1)
 	COLORS: {
 		TILE_DEFAULT: new vec4(1.0, 1.0, 1.0, 0.5),
@@ -57,7 +73,34 @@ var GridConfig = {
 		TILE_WRONG: new vec4(1.0, 0.2, 0.2, 0.77),
 		TILE_START: new vec4(1.0, 0.9, 0.2, 0.77), // Yellow for start
 		TILE_END: new vec4(0.2, 0.6, 1.0, 0.77), // Blue for end
+		TILE_CROSSING: new vec4(0.7, 0.3, 1.0, 0.77), // Purple for tiles a crossing path passes over twice
+		TILE_TELEPORT: new vec4(0.1, 0.9, 0.9, 0.77), // Cyan for both ends of a teleporter
+		TILE_DOUBLE_STEP: new vec4(1.0, 0.55, 0.1, 0.77), // Orange for tiles stepped on twice
+		TILE_BONUS: new vec4(1.0, 0.45, 0.75, 0.77), // Pink for optional bonus tiles
+		TILE_SHARED: new vec4(0.85, 0.85, 0.9, 0.77), // Silver for tiles more than one path of a multi-path level passes over
+		TILE_DECOY: new vec4(0.0, 0.8, 0.4, 0.77), // Decoy flashes (decoys modifier), path green by default so they blend in
+		TILE_PENDING: new vec4(1.0, 1.0, 1.0, 0.9), // Bright white while a step waits out its dwell time
+
+		// Multi-path levels, keyed by colour id (see PATH_PALETTE)
+		PATHS: {
+			green: new vec4(0.0, 0.8, 0.4, 0.77),
+			purple: new vec4(0.7, 0.3, 1.0, 0.77),
+		},
+
+		// Colour-sequence levels, keyed by colour id (see SEQUENCE_PALETTE)
+		SEQUENCE: {
+			red: new vec4(1.0, 0.15, 0.15, 0.77),
+			blue: new vec4(0.15, 0.35, 1.0, 0.77),
+			yellow: new vec4(1.0, 0.9, 0.1, 0.77),
+			green: new vec4(0.1, 0.85, 0.25, 0.77),
+		},
 	},
+
+	// Colour ids colour-sequence levels paint tiles with; a level with N colours uses the first N
+	SEQUENCE_PALETTE: ["red", "blue", "yellow", "green"],
+
+	// Colour ids the paths of a multi-path level are revealed in, first path first
+	PATH_PALETTE: ["green", "purple"],
 };
 
 /**
@@ -65,8 +108,31 @@ var GridConfig = {
  */
 var PlayerConfig = {
 	// How close to tile center player must be (in cm)
+	// Foot-estimate detection: the estimated feet must be this close to confirm a tile
 	TILE_ENTRY_RADIUS: 20,
 
+	// How tile triggers are accepted (Constants.DetectionMode value)
+	DETECTION_MODE: "collider",
+
+	// Foot-estimate detection: horizontal distance (cm) the head sits ahead of the feet when looking straight down
+	LEAN_HEAD_OFFSET: 30,
+
+	// Foot-estimate detection: seconds of foot estimates averaged to smooth out head bob
+	FOOT_HISTORY_TIME: 0.3,
+
+	// Dwell-time step confirmation: a tile only counts as stepped on once the player has
+	// stayed on it for a while, and leaving a tile takes going a margin past its edge
+	STEP_CONFIRMATION_ENABLED: false,
+
+	// Step confirmation settings by tile size (cm), the entry closest to the grid's tile size is used
+	// dwellTime: ms the player must stay on a tile before the step counts
+	// exitMargin: cm past a tile's edge the player must go before they have left it
+	STEP_CONFIRMATION: {
+		40: { dwellTime: 200, exitMargin: 6 },
+		50: { dwellTime: 250, exitMargin: 8 },
+		60: { dwellTime: 300, exitMargin: 10 },
+	},
+
 	// Minimum distance to move before registering new position
 	MOVEMENT_THRESHOLD: 5,
 
@@ -102,6 +168,7 @@ var GameState = {
 	GRID_INTRO: "grid_intro",
 	HOST_INTRO: "host_intro",
 	WAITING_IN_START_ZONE: "waiting_in_start_zone",
+	RETURNING_TO_START_TILE: "returning_to_start_tile", // Growing packs: walking back onto the grid between rounds
 	COUNTDOWN: "countdown",
 	MEMORIZE: "memorize",
 	PLAYING: "playing",
@@ -122,6 +189,12 @@ var IntroConfig = {
 
 	// Delay after player sees start tile before countdown begins (seconds)
 	START_FOCUS_DELAY: 1.5,
+
+	// How long a decoy tile stays lit on levels with the decoys modifier (seconds)
+	DECOY_FLASH_DURATION: 0.3,
+
+	// Part of the reveal decoy flashes start in, as fractions of its length [from, to] (0 = reveal start, 1 = reveal end)
+	DECOY_FLASH_WINDOW: [0, 1],
 };
 
 /**
@@ -150,29 +223,104 @@ var StartZoneConfig = {
 
 /**
  * Level Configuration
- * All levels use 5x5 grid
- * Path length increases by 2 each level (5, 7, 9, 11...)
- * Memorize time is constant at 5 seconds
+ * Levels come from a level pack (Levels/Packs), loaded by LevelPackLoader
+ * Each pack sets per-level grid size, path length or fixed path, memorize time,
+ * reveal speed, difficulty band and modifiers
  * No time limit for gameplay
  */
 var LevelConfig = {
-	GRID_ROWS: 5,
-	GRID_COLUMNS: 5,
-	BASE_PATH_LENGTH: 5, // Starting path length
-	PATH_INCREMENT: 2, // Add 2 tiles per level
-	MAX_PATH_LENGTH: 25, // Max tiles on 5x5 grid
-	MEMORIZE_TIME: 5, // Constant 5 seconds
+	LEVEL_PACK: "classic", // Id of the pack to play, e.g. "classic" or "growing" (falls back to "classic" if invalid)
+	LIVES: 1, // Wrong steps a level takes before it fails, packs may override it (1 = the first mistake fails)
+	PATH_ATTEMPTS: 3, // Seeds tried for a generated path before the level gives up (the first is the pack's or debug seed)
+	SETUP_ERROR_TIME: 2.5, // Seconds the "level unavailable" message shows before returning to the menu
+};
+
+/**
+ * Pack Mode Enum
+ * How the levels of a pack are played
+ */
+var PackMode = {
+	LEVELS: "levels", // Every level is a brand-new path
+	GROWING: "growing", // Simon-style: the path persists and gains a tile each round (level)
+};
+
+/**
+ * Growing Reveal Enum
+ * What a growing pack shows before each new round
+ */
+var GrowReveal = {
+	NEW_TILE: "new_tile", // Only the tile that was just added
+	WHOLE_PATH: "whole_path", // Replay the entire path
+};
+
+/**
+ * Walk Mode Enum
+ * How the player must walk the memorized path
+ */
+var WalkMode = {
+	FORWARD: "forward", // As revealed, start tile to end tile
+	REVERSE: "reverse", // Backwards, end tile to start tile
+	MIRROR: "mirror", // Flipped left-to-right across the grid's centre column
+};
+
+/**
+ * Detection Mode Enum
+ * How PlayerTracker decides the player stepped on a tile
+ */
+var DetectionMode = {
+	COLLIDER: "collider", // Every tile trigger the camera collider enters counts (leaning over a tile does too)
+	FOOT_ESTIMATE: "foot_estimate", // A trigger only counts once the estimated feet reach the tile (see FootEstimator)
+};
+
+/**
+ * Tile Behavior Enum
+ * Special tiles placed by PathGenerator (teleporters, doubleSteps and bonusTiles modifiers)
+ */
+var TileBehavior = {
+	NONE: "none",
+	TELEPORT: "teleport", // Pair of path tiles: step on one end and continue the path from the other
+	DOUBLE_STEP: "double_step", // Path tile that must be stepped on, left and stepped on again
+	BONUS: "bonus", // Optional tile next to the path that awards extra score
+};
+
+/**
+ * Grid Topology Enum
+ * Square grids use {x, z} directly. Hex grids are pointy-top with odd rows shifted
+ * half a tile to the right; tiles are still stored as {x, z} (offset coordinates)
+ * and converted to axial {q, r} for neighbor and distance math.
+ */
+var GridTopology = {
+	SQUARE: "square",
+	HEX: "hex",
 };
 
 /**
  * Direction vectors for path generation
- * Only allows orthogonal movement (no diagonals)
+ * Paths move orthogonally unless a level enables the "diagonal" modifier
  */
 var Directions = {
 	UP: { x: 0, z: 1 },
 	DOWN: { x: 0, z: -1 },
 	LEFT: { x: -1, z: 0 },
 	RIGHT: { x: 1, z: 0 },
+
+	// Diagonal mode only
+	UP_LEFT: { x: -1, z: 1 },
+	UP_RIGHT: { x: 1, z: 1 },
+	DOWN_LEFT: { x: -1, z: -1 },
+	DOWN_RIGHT: { x: 1, z: -1 },
+};
+
+/**
+ * Hex direction vectors in axial coordinates {q, r} (r is the row, same as z)
+ */
+var HexDirections = {
+	UP_LEFT: { q: -1, r: 1 },
+	UP_RIGHT: { q: 0, r: 1 },
+	LEFT: { q: -1, r: 0 },
+	RIGHT: { q: 1, r: 0 },
+	DOWN_LEFT: { q: 0, r: -1 },
+	DOWN_RIGHT: { q: 1, r: -1 },
 };
 
 // Export for module usage
@@ -186,5 +334,12 @@ module.exports = {
 	HostConfig: HostConfig,
 	StartZoneConfig: StartZoneConfig,
 	LevelConfig: LevelConfig,
+	PackMode: PackMode,
+	GrowReveal: GrowReveal,
+	WalkMode: WalkMode,
+	DetectionMode: DetectionMode,
+	TileBehavior: TileBehavior,
+	GridTopology: GridTopology,
 	Directions: Directions,
+	HexDirections: HexDirections,
 };
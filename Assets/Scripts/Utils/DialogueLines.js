@@ -2,6 +2,13 @@
 // Contains all host dialogue text for Memory Grid game
 // Note: Audio will be added later - for now these are logged to console
 
+var Constants = require("./Constants");
+var LevelPackLoader = require("../Levels/LevelPackLoader");
+var ClassicPack = require("../Levels/Packs/ClassicPack");
+
+// Level count of the campaign the numbered level announcements were recorded for
+var CLASSIC_LEVEL_COUNT = ClassicPack.levels.length;
+
 /**
  * Dialogue definitions for the robot host
  * Each dialogue has:
@@ -9,6 +16,9 @@
  * - text: The spoken text (for subtitles)
  * - duration: Approximate duration in seconds
  * - sfxOnly: If true, only play sound effect (no voice)
+ * - packLevels: Only said when the active level pack has this many levels (optional)
+ * Text may contain {levelCount}, filled in from the active level pack by getDialogueText,
+ * and level announcements may contain {level}, filled in by getLevelDialogue
  */
 var Dialogue = {
 	// ==========================================
@@ -21,7 +31,7 @@ var Dialogue = {
 	},
 	EXPLAIN_GOAL: {
 		id: "explain_goal",
-		text: "Your mission: conquer all 11 levels. Each one gets trickier than the last!",
+		text: "Your mission: conquer all {levelCount} levels. Each one gets trickier than the last!",
 		duration: 4.0,
 	},
 	EXPLAIN_RULES: {
@@ -62,6 +72,7 @@ var Dialogue = {
 		id: "level_5",
 		text: "Level 5! Halfway to greatness!",
 		duration: 2.0,
+		packLevels: CLASSIC_LEVEL_COUNT,
 	},
 	LEVEL_6: {
 		id: "level_6",
@@ -82,16 +93,105 @@ var Dialogue = {
 		id: "level_9",
 		text: "Level 9! The final stretch begins!",
 		duration: 2.5,
+		packLevels: CLASSIC_LEVEL_COUNT,
 	},
 	LEVEL_10: {
 		id: "level_10",
 		text: "Level 10! One more after this. You've got this!",
 		duration: 3.0,
+		packLevels: CLASSIC_LEVEL_COUNT,
 	},
 	LEVEL_11: {
 		id: "level_11",
 		text: "Level 11! The ultimate challenge. Show me what you've got!",
 		duration: 3.5,
+		packLevels: CLASSIC_LEVEL_COUNT,
+	},
+
+	// Same lines for any other pack length, placed by the level's position in the pack (no audio yet)
+	LEVEL_HALFWAY: {
+		id: "level_halfway",
+		text: "Level {level}! Halfway to greatness!",
+		duration: 2.0,
+	},
+	LEVEL_FINAL_STRETCH: {
+		id: "level_final_stretch",
+		text: "Level {level}! The final stretch begins!",
+		duration: 2.5,
+	},
+	LEVEL_SECOND_LAST: {
+		id: "level_second_last",
+		text: "Level {level}! One more after this. You've got this!",
+		duration: 3.0,
+	},
+	LEVEL_FINAL: {
+		id: "level_final",
+		text: "Level {level}! The ultimate challenge. Show me what you've got!",
+		duration: 3.5,
+	},
+
+	// ==========================================
+	// LEVEL TWISTS (after the level announcement)
+	// ==========================================
+	WALK_REVERSE: {
+		id: "walk_reverse",
+		text: "Twist! Walk this one backwards, from the last tile to the first.",
+		duration: 3.0,
+	},
+	WALK_MIRROR: {
+		id: "walk_mirror",
+		text: "Twist! Walk it mirrored. Left is right and right is left!",
+		duration: 3.0,
+	},
+	COLLECT_ALL: {
+		id: "collect_all",
+		text: "Twist! Order doesn't matter this time. Just step on every lit tile.",
+		duration: 3.0,
+	},
+	HAZARDS: {
+		id: "hazards",
+		text: "Careful, the red tiles are lava! Touch one and it's over. Every other tile is safe.",
+		duration: 3.5,
+	},
+	TELEPORTERS: {
+		id: "teleporters",
+		text: "See the cyan tiles? Step on one and pick the path up again at its twin.",
+		duration: 3.5,
+	},
+	DOUBLE_STEPS: {
+		id: "double_steps",
+		text: "Orange tiles need two steps. Step on, step back, then step on again!",
+		duration: 3.5,
+	},
+	BONUS_TILES: {
+		id: "bonus_tiles",
+		text: "Pink tiles are bonus points. Grab them if you dare!",
+		duration: 3.0,
+	},
+	COLOR_SEQUENCE: {
+		id: "color_sequence",
+		text: "Colour round! Remember the order the colours flash, then step on any tile of each colour.",
+		duration: 4.0,
+	},
+	PATHS: {
+		id: "paths",
+		text: "Twist! You'll see more than one path. Remember them all, I'll pick the one you walk.",
+		duration: 4.0,
+	},
+	DECOYS: {
+		id: "decoys",
+		text: "Twist! Some tiles will flash just to fool you. Only the ones that stay lit are the path.",
+		duration: 3.5,
+	},
+	FOG: {
+		id: "fog",
+		text: "Twist! It's foggy out there. You'll only see the tiles right around you.",
+		duration: 3.5,
+	},
+	ROTATE: {
+		id: "rotate",
+		text: "Twist! Once you've memorized it, the path turns. Watch where the yellow tile moves to!",
+		duration: 3.5,
 	},
 
 	// ==========================================
@@ -139,6 +239,31 @@ var Dialogue = {
 		text: "Go!",
 		duration: 0.5,
 	},
+	WALK_GREEN: {
+		id: "walk_green",
+		text: "Walk the green path. Go!",
+		duration: 2.0,
+	},
+	WALK_PURPLE: {
+		id: "walk_purple",
+		text: "Walk the purple path. Go!",
+		duration: 2.0,
+	},
+	ROTATE_90: {
+		id: "rotate_90",
+		text: "Quarter turn to the right. Go!",
+		duration: 2.0,
+	},
+	ROTATE_180: {
+		id: "rotate_180",
+		text: "Turned all the way around. Go!",
+		duration: 2.0,
+	},
+	ROTATE_270: {
+		id: "rotate_270",
+		text: "Quarter turn to the left. Go!",
+		duration: 2.0,
+	},
 
 	// ==========================================
 	// MEMORIZE PHASE
@@ -260,12 +385,12 @@ var Dialogue = {
 	// ==========================================
 	GAME_COMPLETE: {
 		id: "game_complete",
-		text: "You did it! All 11 levels conquered! You're a true Grid Master!",
+		text: "You did it! All {levelCount} levels conquered! You're a true Grid Master!",
 		duration: 4.5,
 	},
 	GAME_COMPLETE_FLAWLESS: {
 		id: "game_complete_flawless",
-		text: "Unbelievable! All 11 levels without a single retry! You're a legend!",
+		text: "Unbelievable! All {levelCount} levels without a single retry! You're a legend!",
 		duration: 5.0,
 	},
 	GAME_COMPLETE_RETURN: {
@@ -299,6 +424,20 @@ var Dialogue = {
 		sfxOnly: true, // Just a confirmation sound
 	},
 
+	// ==========================================
+	// GROWING PACKS (between rounds, instead of the start zone)
+	// ==========================================
+	GROW_NEXT_ROUND: {
+		id: "grow_next_round",
+		text: "One more tile this time! Step back onto the yellow start tile.",
+		duration: 3.0,
+	},
+	GROW_NEW_PATH: {
+		id: "grow_new_path",
+		text: "That path ran out of room, so here's a brand new one! Step back onto the yellow start tile.",
+		duration: 4.0,
+	},
+
 	// ==========================================
 	// ACHIEVEMENTS
 	// ==========================================
@@ -338,6 +477,36 @@ function getRandomGoDialogue() {
 	return options[Math.floor(Math.random() * options.length)];
 }
 
+/**
+ * Gets the go line announcing which path of a multi-path level to walk
+ * @param {string} colorId - Colour id of the path (see GridConfig.PATH_PALETTE)
+ * @returns {Object} Path choice dialogue
+ */
+function getPathChoiceDialogue(colorId) {
+	var key = "WALK_" + String(colorId).toUpperCase();
+	if (Dialogue[key]) {
+		return Dialogue[key];
+	}
+	// Fallback for colours without a recorded line
+	return {
+		id: "walk_" + colorId,
+		text: "Walk the " + colorId + " path. Go!",
+		duration: 2.0,
+	};
+}
+
+/**
+ * Gets the go line announcing how far the path turned after memorizing
+ * @param {number} rotation - Degrees clockwise (0, 90, 180 or 270)
+ * @returns {Object} Rotation dialogue, or null when the path didn't turn
+ */
+function getRotationGoDialogue(rotation) {
+	if (rotation === 90) return Dialogue.ROTATE_90;
+	if (rotation === 180) return Dialogue.ROTATE_180;
+	if (rotation === 270) return Dialogue.ROTATE_270;
+	return null;
+}
+
 /**
  * Gets the appropriate return-to-start dialogue
  * @param {boolean} isSuccess - Whether the player succeeded (true) or failed (false)
@@ -386,36 +555,117 @@ function getRandomFailDialogue(retryCount) {
 
 /**
  * Gets level announcement dialogue
- * @param {number} level - Level number (1-11)
+ * Recorded lines that name a place in the classic campaign are only used for packs of its length;
+ * other packs get the same lines by position (halfway, final stretch, second last, final level)
+ * @param {number} level - Level number (1-based)
  * @returns {Object} Level dialogue
  */
 function getLevelDialogue(level) {
-	var levelKey = "LEVEL_" + level;
-	if (Dialogue[levelKey]) {
-		return Dialogue[levelKey];
+	var levelCount = LevelPackLoader.getLevelCount();
+	var recorded = Dialogue["LEVEL_" + level];
+	if (recorded && recorded.packLevels === levelCount) {
+		return recorded;
 	}
-	// Fallback for levels beyond 11
+
+	var positional = getPositionalLevelDialogue(level, levelCount);
+	if (positional) {
+		return {
+			id: positional.id,
+			text: positional.text.replace(/\{level\}/g, "" + level),
+			duration: positional.duration,
+		};
+	}
+
+	if (recorded && recorded.packLevels === undefined) {
+		return recorded;
+	}
+	// Fallback for levels without a recorded announcement that fits the pack
+	// (its own id when the recording doesn't fit, so that audio isn't played)
 	return {
-		id: "level_" + level,
+		id: recorded ? "level_" + level + "_plain" : "level_" + level,
 		text: "Level " + level + "!",
 		duration: 1.5,
 	};
 }
 
 /**
- * Gets level up dialogue based on progress
+ * Gets the announcement for a level's position in the pack (internal helper)
+ * Halfway = the middle level rounded down, final stretch = three levels from the end;
+ * level 1 always gets its own introduction
+ * @param {number} level - Level number (1-based)
+ * @param {number} levelCount - Levels in the active pack
+ * @returns {Object} Dialogue with a {level} placeholder, or null for a level with no special place
+ */
+function getPositionalLevelDialogue(level, levelCount) {
+	if (level === levelCount) return Dialogue.LEVEL_FINAL;
+	if (level <= 1) return null;
+	if (level === levelCount - 1) return Dialogue.LEVEL_SECOND_LAST;
+	if (level === levelCount - 2) return Dialogue.LEVEL_FINAL_STRETCH;
+	if (level === Math.floor(levelCount / 2)) return Dialogue.LEVEL_HALFWAY;
+	return null;
+}
+
+/**
+ * Gets the twist line announcing a walk mode
+ * @param {string} walkMode - Constants.WalkMode value
+ * @returns {Object} Walk mode dialogue, or null for a normal forward walk
+ */
+function getWalkModeDialogue(walkMode) {
+	if (walkMode === Constants.WalkMode.REVERSE) return Dialogue.WALK_REVERSE;
+	if (walkMode === Constants.WalkMode.MIRROR) return Dialogue.WALK_MIRROR;
+	return null;
+}
+
+/**
+ * Gets the twist lines announcing a level's modifiers, in the order they should play
+ * @param {Object} modifiers - Level modifiers from the level pack (missing = none)
+ * @returns {Array} Dialogue objects (empty for a plain level)
+ */
+function getTwistDialogues(modifiers) {
+	modifiers = modifiers || {};
+	var twists = [];
+
+	var walkTwist = getWalkModeDialogue(modifiers.walkMode);
+	if (walkTwist) twists.push(walkTwist);
+	if (modifiers.collectAll === true) twists.push(Dialogue.COLLECT_ALL);
+	if (modifiers.hazards > 0) twists.push(Dialogue.HAZARDS);
+	if (modifiers.teleporters > 0) twists.push(Dialogue.TELEPORTERS);
+	if (modifiers.doubleSteps > 0) twists.push(Dialogue.DOUBLE_STEPS);
+	if (modifiers.bonusTiles > 0) twists.push(Dialogue.BONUS_TILES);
+	if (modifiers.colorSequence > 0) twists.push(Dialogue.COLOR_SEQUENCE);
+	if (modifiers.paths > 0) twists.push(Dialogue.PATHS);
+	if (modifiers.rotation > 0) twists.push(Dialogue.ROTATE);
+	if (modifiers.fog === true) twists.push(Dialogue.FOG);
+	if (modifiers.decoys) twists.push(Dialogue.DECOYS);
+
+	return twists;
+}
+
+/**
+ * Gets level up dialogue based on progress through the active level pack
+ * Halfway = the middle level, almost = the last two levels
  * @param {number} newLevel - The level just reached
  * @returns {Object} Level up dialogue
  */
 function getLevelUpDialogue(newLevel) {
-	if (newLevel === 6) {
+	var levelCount = LevelPackLoader.getLevelCount();
+	if (newLevel === Math.ceil(levelCount / 2)) {
 		return Dialogue.LEVEL_UP_HALFWAY;
-	} else if (newLevel >= 10) {
+	} else if (newLevel >= levelCount - 1) {
 		return Dialogue.LEVEL_UP_ALMOST;
 	}
 	return Dialogue.LEVEL_UP;
 }
 
+/**
+ * Checks if reaching a level deserves a progression line (halfway or almost done)
+ * @param {number} newLevel - The level just reached
+ * @returns {boolean} True at a milestone
+ */
+function isLevelUpMilestone(newLevel) {
+	return getLevelUpDialogue(newLevel) !== Dialogue.LEVEL_UP;
+}
+
 /**
  * Gets game completion dialogue
  * @param {boolean} flawless - Whether completed without any retries
@@ -442,6 +692,16 @@ function getDialogueById(id) {
 	return null;
 }
 
+/**
+ * Gets the display text of a dialogue with placeholders filled in
+ * @param {Object} dialogue - Dialogue object
+ * @returns {string} Text for subtitles and logs
+ */
+function getDialogueText(dialogue) {
+	if (!dialogue || !dialogue.text) return "";
+	return dialogue.text.replace(/\{levelCount\}/g, "" + LevelPackLoader.getLevelCount());
+}
+
 /**
  * Logs a host dialogue to console (placeholder for audio)
  * @param {Object} dialogue - Dialogue object
@@ -451,7 +711,7 @@ function logHostDialogue(dialogue) {
 	if (dialogue.sfxOnly) {
 		print("[HOST SFX]: " + dialogue.id);
 	} else {
-		print("[HOST]: " + dialogue.text);
+		print("[HOST]: " + getDialogueText(dialogue));
 	}
 }
 
@@ -461,10 +721,16 @@ module.exports = {
 	getRandomFailDialogue: getRandomFailDialogue,
 	getRandomWatchDialogue: getRandomWatchDialogue,
 	getRandomGoDialogue: getRandomGoDialogue,
+	getPathChoiceDialogue: getPathChoiceDialogue,
+	getRotationGoDialogue: getRotationGoDialogue,
 	getReturnToStartDialogue: getReturnToStartDialogue,
 	getLevelDialogue: getLevelDialogue,
+	getWalkModeDialogue: getWalkModeDialogue,
+	getTwistDialogues: getTwistDialogues,
 	getLevelUpDialogue: getLevelUpDialogue,
+	isLevelUpMilestone: isLevelUpMilestone,
 	getGameCompleteDialogue: getGameCompleteDialogue,
 	getDialogueById: getDialogueById,
+	getDialogueText: getDialogueText,
 	logHostDialogue: logHostDialogue,
 };
@@ -1,16 +1,29 @@
 // MathHelpers.js
 // Utility functions for position calculations and grid math
 
+var Constants = require("./Constants");
+
+// Neighbor offsets, in a fixed order so seeded paths stay reproducible
+var Dir = Constants.Directions;
+var ORTHOGONAL_DIRECTIONS = [Dir.UP, Dir.DOWN, Dir.LEFT, Dir.RIGHT];
+var DIAGONAL_DIRECTIONS = [Dir.UP_LEFT, Dir.UP_RIGHT, Dir.DOWN_LEFT, Dir.DOWN_RIGHT];
+var Hex = Constants.HexDirections;
+var HEX_DIRECTIONS = [Hex.UP_LEFT, Hex.UP_RIGHT, Hex.LEFT, Hex.RIGHT, Hex.DOWN_LEFT, Hex.DOWN_RIGHT];
+
+// Hex rows are closer together than columns: row spacing = column spacing * sqrt(3) / 2
+var HEX_ROW_SPACING = Math.sqrt(3) / 2;
+
 /**
  * Converts grid coordinates to world position (center of tile)
  * @param {number} gridX - Grid X coordinate
  * @param {number} gridZ - Grid Z coordinate
  * @param {vec3} gridOrigin - The origin point of the grid
- * @param {number} tileSize - Size of each tile in cm
+ * @param {number} tileSize - Size of each tile in cm (across the flats for hex tiles)
  * @param {number} tileGap - Gap between tiles in cm
+ * @param {string} topology - Constants.GridTopology value (default: square)
  * @returns {vec3} World position at center of the tile
  */
-function gridToWorld(gridX, gridZ, gridOrigin, tileSize, tileGap) {
+function gridToWorld(gridX, gridZ, gridOrigin, tileSize, tileGap, topology) {
 	var totalTileSize = tileSize + tileGap;
 	var halfTile = tileSize / 2;
 
@@ -18,9 +31,89 @@ function gridToWorld(gridX, gridZ, gridOrigin, tileSize, tileGap) {
 	var worldZ = gridOrigin.z + gridZ * totalTileSize + halfTile;
 	var worldY = gridOrigin.y;
 
+	if (topology === Constants.GridTopology.HEX) {
+		// Odd rows shift half a tile right, rows pack closer together
+		worldX += (gridZ & 1) * totalTileSize / 2;
+		worldZ = gridOrigin.z + gridZ * totalTileSize * HEX_ROW_SPACING + halfTile;
+	}
+
 	return new vec3(worldX, worldY, worldZ);
 }
 
+/**
+ * Converts a world position to the grid coordinates of the tile under it (inverse of gridToWorld)
+ * The result may lie outside the grid; check it with isValidGridPosition
+ * @param {vec3} worldPos - World position
+ * @param {vec3} gridOrigin - The origin point of the grid
+ * @param {number} tileSize - Size of each tile in cm
+ * @param {number} tileGap - Gap between tiles in cm
+ * @param {string} topology - Constants.GridTopology value (default: square)
+ * @returns {Object} Grid position {x, z}
+ */
+function worldToGrid(worldPos, gridOrigin, tileSize, tileGap, topology) {
+	var totalTileSize = tileSize + tileGap;
+	var halfTile = tileSize / 2;
+	var localX = worldPos.x - gridOrigin.x;
+	var localZ = worldPos.z - gridOrigin.z;
+
+	if (topology !== Constants.GridTopology.HEX) {
+		return { x: Math.floor(localX / totalTileSize), z: Math.floor(localZ / totalTileSize) };
+	}
+
+	// Fractional axial coordinates of the point, then round to the nearest hex
+	var r = (localZ - halfTile) / (totalTileSize * HEX_ROW_SPACING);
+	var q = (localX - halfTile) / totalTileSize - r / 2;
+	var axial = roundAxial(q, r);
+
+	return axialToOffset(axial.q, axial.r);
+}
+
+/**
+ * Rounds fractional axial coordinates to the hex that contains them
+ * @param {number} q - Fractional q
+ * @param {number} r - Fractional r
+ * @returns {Object} Axial position {q, r}
+ */
+function roundAxial(q, r) {
+	// Round in cube coordinates (q + r + s = 0), then fix the component that moved the most
+	var s = -q - r;
+	var roundedQ = Math.round(q);
+	var roundedR = Math.round(r);
+	var roundedS = Math.round(s);
+
+	var diffQ = Math.abs(roundedQ - q);
+	var diffR = Math.abs(roundedR - r);
+	var diffS = Math.abs(roundedS - s);
+
+	if (diffQ > diffR && diffQ > diffS) {
+		roundedQ = -roundedR - roundedS;
+	} else if (diffR > diffS) {
+		roundedR = -roundedQ - roundedS;
+	}
+
+	return { q: roundedQ, r: roundedR };
+}
+
+/**
+ * Converts hex grid coordinates {x, z} (odd rows shifted right) to axial {q, r}
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @returns {Object} Axial position {q, r}
+ */
+function offsetToAxial(gridX, gridZ) {
+	return { q: gridX - (gridZ - (gridZ & 1)) / 2, r: gridZ };
+}
+
+/**
+ * Converts axial hex coordinates {q, r} to grid coordinates {x, z}
+ * @param {number} q - Axial q
+ * @param {number} r - Axial r (the row)
+ * @returns {Object} Grid position {x, z}
+ */
+function axialToOffset(q, r) {
+	return { x: q + (r - (r & 1)) / 2, z: r };
+}
+
 /**
  * Checks if a position is within a tile's bounds
  * @param {vec3} worldPos - The world position to check
@@ -78,10 +171,68 @@ function projectToFloor(cameraPos, floorY) {
  * @param {number} gridZ - Grid Z coordinate
  * @param {number} rows - Number of rows in grid
  * @param {number} columns - Number of columns in grid
+ * @param {Array} mask - Optional tile mask from createGridMask (masked-out tiles are invalid)
  * @returns {boolean} True if coordinates are within bounds
  */
-function isValidGridPosition(gridX, gridZ, rows, columns) {
-	return gridX >= 0 && gridX < columns && gridZ >= 0 && gridZ < rows;
+function isValidGridPosition(gridX, gridZ, rows, columns, mask) {
+	if (!(gridX >= 0 && gridX < columns && gridZ >= 0 && gridZ < rows)) return false;
+	return !mask || mask[gridZ][gridX] === true;
+}
+
+/**
+ * Builds a tile mask: mask[z][x] is true for tiles that exist
+ * Row z = 0 is the far edge of the grid, z = rows - 1 the near edge (start side)
+ * @param {number} rows - Number of rows in grid
+ * @param {number} columns - Number of columns in grid
+ * @param {Array} layout - Either a 2D layout (layout[z][x], truthy = tile exists)
+ *   or a list of disabled tiles [{x, z}, ...]. Null means every tile exists.
+ * @returns {Array} 2D boolean mask, or null for a full grid
+ */
+function createGridMask(rows, columns, layout) {
+	if (!layout || layout.length === 0) return null;
+
+	var isLayout = Array.isArray(layout[0]);
+	var mask = [];
+	var hasHoles = false;
+
+	for (var z = 0; z < rows; z++) {
+		mask[z] = [];
+		for (var x = 0; x < columns; x++) {
+			mask[z][x] = isLayout ? !!(layout[z] && layout[z][x]) : true;
+		}
+	}
+
+	if (!isLayout) {
+		for (var i = 0; i < layout.length; i++) {
+			var cell = layout[i];
+			if (cell && isValidGridPosition(cell.x, cell.z, rows, columns)) {
+				mask[cell.z][cell.x] = false;
+			}
+		}
+	}
+
+	for (var row = 0; row < rows; row++) {
+		if (mask[row].indexOf(false) !== -1) hasHoles = true;
+	}
+
+	return hasHoles ? mask : null;
+}
+
+/**
+ * Counts the tiles that exist on a (possibly masked) grid
+ * @param {number} rows - Number of rows in grid
+ * @param {number} columns - Number of columns in grid
+ * @param {Array} mask - Optional tile mask from createGridMask
+ * @returns {number} Tile count
+ */
+function countGridTiles(rows, columns, mask) {
+	var count = 0;
+	for (var z = 0; z < rows; z++) {
+		for (var x = 0; x < columns; x++) {
+			if (isValidGridPosition(x, z, rows, columns, mask)) count++;
+		}
+	}
+	return count;
 }
 
 /**
@@ -96,27 +247,39 @@ function isSameGridPosition(posA, posB) {
 }
 
 /**
- * Gets all valid neighboring grid positions (orthogonal only)
+ * Gets all valid neighboring grid positions
  * @param {number} gridX - Current X coordinate
  * @param {number} gridZ - Current Z coordinate
  * @param {number} rows - Grid row count
  * @param {number} columns - Grid column count
+ * @param {Object} options - Optional settings:
+ *   diagonal: also include the 4 diagonal neighbors (default: orthogonal only)
+ *   mask: tile mask from createGridMask (masked-out tiles are skipped)
+ *   topology: Constants.GridTopology value; hex tiles have 6 neighbors (default: square)
  * @returns {Array} Array of valid neighbor positions
  */
-function getNeighbors(gridX, gridZ, rows, columns) {
+function getNeighbors(gridX, gridZ, rows, columns, options) {
 	var neighbors = [];
-	var directions = [
-		{ x: 0, z: 1 }, // Up
-		{ x: 0, z: -1 }, // Down
-		{ x: -1, z: 0 }, // Left
-		{ x: 1, z: 0 }, // Right
-	];
+	var mask = options ? options.mask : null;
+
+	if (options && options.topology === Constants.GridTopology.HEX) {
+		var axial = offsetToAxial(gridX, gridZ);
+		for (var h = 0; h < HEX_DIRECTIONS.length; h++) {
+			var hexPos = axialToOffset(axial.q + HEX_DIRECTIONS[h].q, axial.r + HEX_DIRECTIONS[h].r);
+			if (isValidGridPosition(hexPos.x, hexPos.z, rows, columns, mask)) {
+				neighbors.push(hexPos);
+			}
+		}
+		return neighbors;
+	}
+
+	var directions = options && options.diagonal ? ORTHOGONAL_DIRECTIONS.concat(DIAGONAL_DIRECTIONS) : ORTHOGONAL_DIRECTIONS;
 
 	for (var i = 0; i < directions.length; i++) {
 		var newX = gridX + directions[i].x;
 		var newZ = gridZ + directions[i].z;
 
-		if (isValidGridPosition(newX, newZ, rows, columns)) {
+		if (isValidGridPosition(newX, newZ, rows, columns, mask)) {
 			neighbors.push({ x: newX, z: newZ });
 		}
 	}
@@ -124,24 +287,113 @@ function getNeighbors(gridX, gridZ, rows, columns) {
 	return neighbors;
 }
 
+/**
+ * Gets how many neighbors a tile has when nothing is in the way
+ * @param {Object} options - Same options as getNeighbors
+ * @returns {number} 4, 6 (hex) or 8 (diagonal)
+ */
+function getMaxNeighborCount(options) {
+	if (options && options.topology === Constants.GridTopology.HEX) return HEX_DIRECTIONS.length;
+	return options && options.diagonal ? ORTHOGONAL_DIRECTIONS.length + DIAGONAL_DIRECTIONS.length : ORTHOGONAL_DIRECTIONS.length;
+}
+
+/**
+ * Rotates a grid position about the grid's centre, clockwise as seen from above
+ * (with the near edge at the bottom, 90 degrees turns the far edge into the right edge)
+ * Quarter turns only keep tiles on the grid when rows equals columns.
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ * @param {number} rotation - Degrees: 0, 90, 180 or 270
+ * @param {number} rows - Number of rows in grid
+ * @param {number} columns - Number of columns in grid
+ * @returns {Object} Rotated grid position {x, z}
+ */
+function rotateGridPosition(gridX, gridZ, rotation, rows, columns) {
+	switch (rotation) {
+		case 90:
+			return { x: rows - 1 - gridZ, z: gridX };
+		case 180:
+			return { x: columns - 1 - gridX, z: rows - 1 - gridZ };
+		case 270:
+			return { x: gridZ, z: columns - 1 - gridX };
+		default:
+			return { x: gridX, z: gridZ };
+	}
+}
+
+/**
+ * Checks if two grid positions are one step apart
+ * @param {Object} from - Grid position {x, z}
+ * @param {Object} to - Grid position {x, z}
+ * @param {Object} options - Same options as getNeighbors (mask is ignored)
+ * @returns {boolean} True if the step is allowed
+ */
+function isAdjacent(from, to, options) {
+	if (options && options.topology === Constants.GridTopology.HEX) {
+		var a = offsetToAxial(from.x, from.z);
+		var b = offsetToAxial(to.x, to.z);
+		for (var i = 0; i < HEX_DIRECTIONS.length; i++) {
+			if (b.q - a.q === HEX_DIRECTIONS[i].q && b.r - a.r === HEX_DIRECTIONS[i].r) return true;
+		}
+		return false;
+	}
+
+	var dx = Math.abs(to.x - from.x);
+	var dz = Math.abs(to.z - from.z);
+
+	// Exactly one step in one direction (or one diagonal step if allowed)
+	var isOrthogonal = (dx === 1 && dz === 0) || (dx === 0 && dz === 1);
+	var isDiagonal = !!(options && options.diagonal) && dx === 1 && dz === 1;
+	return isOrthogonal || isDiagonal;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * Uses 32-bit integer math only, so a seed produces the same sequence on every device
+ * @param {number} seed - Seed value (truncated to an unsigned 32-bit integer)
+ * @returns {Function} Generator returning floats in [0, 1), drop-in for Math.random
+ */
+function createSeededRandom(seed) {
+	var state = seed >>> 0;
+
+	return function () {
+		state = (state + 0x6d2b79f5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Generates a fresh random seed for createSeededRandom
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+function generateSeed() {
+	return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
 /**
  * Generates a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} random - Optional PRNG returning [0, 1) (defaults to Math.random)
  * @returns {number} Random integer
  */
-function randomInt(min, max) {
-	return Math.floor(Math.random() * (max - min + 1)) + min;
+function randomInt(min, max, random) {
+	var rng = random || Math.random;
+	return Math.floor(rng() * (max - min + 1)) + min;
 }
 
 /**
  * Shuffles an array in place using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Optional PRNG returning [0, 1) (defaults to Math.random)
  * @returns {Array} The shuffled array
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
 	for (var i = array.length - 1; i > 0; i--) {
-		var j = randomInt(0, i);
+		var j = randomInt(0, i, random);
 		var temp = array[i];
 		array[i] = array[j];
 		array[j] = temp;
@@ -186,13 +438,23 @@ function lerpVec3(a, b, t) {
 // Export all functions
 module.exports = {
 	gridToWorld: gridToWorld,
+	worldToGrid: worldToGrid,
+	offsetToAxial: offsetToAxial,
+	axialToOffset: axialToOffset,
 	isWithinTile: isWithinTile,
 	horizontalDistance: horizontalDistance,
 	distance3D: distance3D,
 	projectToFloor: projectToFloor,
 	isValidGridPosition: isValidGridPosition,
+	createGridMask: createGridMask,
+	countGridTiles: countGridTiles,
 	isSameGridPosition: isSameGridPosition,
 	getNeighbors: getNeighbors,
+	getMaxNeighborCount: getMaxNeighborCount,
+	isAdjacent: isAdjacent,
+	rotateGridPosition: rotateGridPosition,
+	createSeededRandom: createSeededRandom,
+	generateSeed: generateSeed,
 	randomInt: randomInt,
 	shuffleArray: shuffleArray,
 	clamp: clamp,
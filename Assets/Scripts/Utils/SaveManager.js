@@ -2,6 +2,8 @@
 // Handles save/restore of game progress using Lens Studio persistent storage
 // Reference: https://developers.snap.com/lens-studio/api/lens-scripting/classes/Built-In.PersistentStorageSystem.html
 
+var LevelPackLoader = require("../Levels/LevelPackLoader");
+
 var SAVE_KEY = "memoryGridSave";
 var storage = null;
 
@@ -13,6 +15,9 @@ var defaultSaveData = {
 	totalRetries: 0,
 	retriesPerLevel: {}, // { "1": 0, "2": 1, ... }
 	levelsCompletedFirstTry: [], // [1, 2, 5, ...] levels completed without retrying
+	totalLivesUsed: 0,
+	livesUsedPerLevel: {}, // { "1": 0, "2": 1, ... } lives lost on the attempt that completed the level
+	levelsCompletedFlawless: [], // [1, 5, ...] levels completed on the first try without losing a life
 	achievements: [], // ["first_steps", "flawless_five", ...]
 };
 
@@ -94,6 +99,7 @@ function loadFromStorage() {
 		if (store.has(SAVE_KEY)) {
 			var json = store.getString(SAVE_KEY);
 			saveData = JSON.parse(json);
+			upgradeSaveData();
 			print("SaveManager: Loaded - Level " + saveData.currentLevel);
 		} else {
 			saveData = JSON.parse(JSON.stringify(defaultSaveData));
@@ -105,6 +111,22 @@ function loadFromStorage() {
 	}
 }
 
+/**
+ * Fills in fields that saves from older versions don't have
+ */
+function upgradeSaveData() {
+	// Before lives, every first-try completion was flawless
+	if (!saveData.levelsCompletedFlawless) {
+		saveData.levelsCompletedFlawless = (saveData.levelsCompletedFirstTry || []).slice();
+	}
+
+	for (var key in defaultSaveData) {
+		if (saveData[key] === undefined) {
+			saveData[key] = JSON.parse(JSON.stringify(defaultSaveData[key]));
+		}
+	}
+}
+
 /**
  * Save data to persistent storage
  */
@@ -147,15 +169,25 @@ function getHighestLevel() {
  * Called when a level is completed successfully
  * @param {number} level - The level that was completed
  * @param {boolean} firstTry - Whether it was completed on first attempt
+ * @param {number} livesUsed - Lives lost to wrong steps on the way (optional, 0 if not given)
  */
-function onLevelCompleted(level, firstTry) {
+function onLevelCompleted(level, firstTry, livesUsed) {
 	if (!saveData) return;
 
+	livesUsed = livesUsed || 0;
+
 	// Track first-try completions
 	if (firstTry && saveData.levelsCompletedFirstTry.indexOf(level) === -1) {
 		saveData.levelsCompletedFirstTry.push(level);
 	}
 
+	// Flawless needs the first try without a single wrong step, even a forgiven one
+	if (firstTry && livesUsed === 0 && saveData.levelsCompletedFlawless.indexOf(level) === -1) {
+		saveData.levelsCompletedFlawless.push(level);
+	}
+	saveData.livesUsedPerLevel[level.toString()] = livesUsed;
+	saveData.totalLivesUsed += livesUsed;
+
 	// Advance to next level
 	saveData.currentLevel = level + 1;
 
@@ -172,7 +204,7 @@ function onLevelCompleted(level, firstTry) {
 	saveData.retriesPerLevel[level.toString()] = 0;
 
 	saveToStorage();
-	print("SaveManager: Level " + level + " completed, now on level " + saveData.currentLevel);
+	print("SaveManager: Level " + level + " completed (lives used: " + livesUsed + "), now on level " + saveData.currentLevel);
 }
 
 /**
@@ -217,6 +249,29 @@ function wasLevelCompletedFirstTry(level) {
 	return saveData.levelsCompletedFirstTry.indexOf(level) !== -1;
 }
 
+/**
+ * Check if a level was completed on first try without losing a life
+ */
+function wasLevelCompletedFlawless(level) {
+	if (!saveData) return false;
+	return saveData.levelsCompletedFlawless.indexOf(level) !== -1;
+}
+
+/**
+ * Get the lives lost on the attempt that completed a level
+ */
+function getLivesUsedForLevel(level) {
+	if (!saveData) return 0;
+	return saveData.livesUsedPerLevel[level.toString()] || 0;
+}
+
+/**
+ * Get total lives lost across all completed levels
+ */
+function getTotalLivesUsed() {
+	return saveData ? saveData.totalLivesUsed : 0;
+}
+
 /**
  * Check and unlock achievements based on current progress
  */
@@ -224,23 +279,29 @@ function checkAchievements() {
 	if (!saveData) return;
 
 	var newAchievements = [];
+	var levelCount = LevelPackLoader.getLevelCount();
+
+	// Milestones placed by position in the pack, like the host's level announcements
+	// (reaching level 9 and beating level 6+ in the 11-level classic pack)
+	var finalStretchLevel = Math.max(2, levelCount - 2); // Reached only after beating a level
+	var pastHalfwayLevel = Math.floor(levelCount / 2) + 1;
 
 	// Progression badges
 	if (saveData.highestLevel > 1) unlockAchievement("first_steps", newAchievements);
 	if (saveData.highestLevel > 3) unlockAchievement("getting_warmer", newAchievements);
 	if (saveData.highestLevel > 5) unlockAchievement("memory_walker", newAchievements);
-	if (saveData.highestLevel > 8) unlockAchievement("grid_expert", newAchievements);
-	if (saveData.highestLevel > 11) unlockAchievement("grid_master", newAchievements);
+	if (saveData.highestLevel >= finalStretchLevel) unlockAchievement("grid_expert", newAchievements);
+	if (saveData.highestLevel > levelCount) unlockAchievement("grid_master", newAchievements);
 
-	// Flawless badges
-	if (wasLevelCompletedFirstTry(1)) {
+	// Flawless badges (a forgiven wrong step still counts as a mistake)
+	if (wasLevelCompletedFlawless(1)) {
 		unlockAchievement("clean_start", newAchievements);
 	}
 
-	// Check flawless five (levels 1-5 without retries)
+	// Check flawless five (levels 1-5 without retries or lost lives)
 	var flawlessFive = true;
 	for (var i = 1; i <= 5; i++) {
-		if (!wasLevelCompletedFirstTry(i)) {
+		if (!wasLevelCompletedFlawless(i)) {
 			flawlessFive = false;
 			break;
 		}
@@ -249,20 +310,20 @@ function checkAchievements() {
 		unlockAchievement("flawless_five", newAchievements);
 	}
 
-	// Check no mistakes (all 11 without retries)
+	// Check no mistakes (every level of the pack without retries or lost lives)
 	var noMistakes = true;
-	for (var j = 1; j <= 11; j++) {
-		if (!wasLevelCompletedFirstTry(j)) {
+	for (var j = 1; j <= levelCount; j++) {
+		if (!wasLevelCompletedFlawless(j)) {
 			noMistakes = false;
 			break;
 		}
 	}
-	if (noMistakes && saveData.highestLevel > 11) {
+	if (noMistakes && saveData.highestLevel > levelCount) {
 		unlockAchievement("no_mistakes", newAchievements);
 	}
 
-	// Deep focus (level 6+ on first try = 15+ tiles)
-	for (var k = 6; k <= 11; k++) {
+	// Deep focus (a level past halfway on first try)
+	for (var k = pastHalfwayLevel; k <= levelCount; k++) {
 		if (wasLevelCompletedFirstTry(k)) {
 			unlockAchievement("deep_focus", newAchievements);
 			break;
@@ -285,8 +346,8 @@ function checkAchievements() {
 		}
 	}
 
-	// Never give up - completed level 11 with 5+ total retries
-	if (saveData.highestLevel > 11 && saveData.totalRetries >= 5) {
+	// Never give up - completed the final level with 5+ total retries
+	if (saveData.highestLevel > levelCount && saveData.totalRetries >= 5) {
 		unlockAchievement("never_give_up", newAchievements);
 	}
 
@@ -352,6 +413,9 @@ function resetLevelProgress() {
 	saveData.totalRetries = 0;
 	saveData.retriesPerLevel = {};
 	saveData.levelsCompletedFirstTry = [];
+	saveData.totalLivesUsed = 0;
+	saveData.livesUsedPerLevel = {};
+	saveData.levelsCompletedFlawless = [];
 	// Keep achievements and highestLevel
 
 	saveToStorage();
@@ -382,6 +446,9 @@ global.PathFinder.Save = {
 	getRetriesForLevel: getRetriesForLevel,
 	getTotalRetries: getTotalRetries,
 	wasLevelCompletedFirstTry: wasLevelCompletedFirstTry,
+	wasLevelCompletedFlawless: wasLevelCompletedFlawless,
+	getLivesUsedForLevel: getLivesUsedForLevel,
+	getTotalLivesUsed: getTotalLivesUsed,
 	hasAchievement: hasAchievement,
 	getUnlockedAchievements: getUnlockedAchievements,
 	onAchievementsUnlocked: onAchievementsUnlocked,
@@ -0,0 +1,378 @@
+// SessionRecorder.js
+// Records what happened during a play session (camera pose, tile triggers, state changes, paths)
+// so a report like "it registered a tile I didn't step on" can be checked afterwards
+// Reference: https://developers.snap.com/lens-studio/api/lens-scripting/classes/Built-In.PersistentStorageSystem.html
+
+var Constants = require("./Constants");
+
+/**
+ * SessionRecorder Component
+ * Attach to any SceneObject. Recording is off unless DebugConfig.RECORD_SESSION is set.
+ * Other scripts report to it through global.PathFinder.Recorder:
+ * - PlayerTracker: camera pose (and the estimated feet) every frame, kept at RECORD_SAMPLE_RATE
+ * - GridManager: every tile trigger the camera collider enters
+ * - GameStateManager: every state change, and the path when play starts
+ * Events go into a ring buffer of RECORD_MAX_EVENTS, so the oldest are dropped first.
+ * The session is saved as JSON to persistent storage whenever a level ends or the game
+ * returns to idle; the saved session survives a restart until the next one overwrites it.
+ * Persistent storage is shared with SaveManager, so a saved session only takes STORAGE_SHARE
+ * of the free space and leaves its oldest events out when it doesn't fit.
+ */
+
+var SESSION_KEY = "memoryGridSession";
+var SESSION_VERSION = 1;
+
+// Characters per print when dumping a session, so long sessions aren't cut off in the logs
+var PRINT_CHUNK_SIZE = 1000;
+
+// Share of the free persistent storage a saved session may take, so SaveManager always has room left
+var STORAGE_SHARE = 0.5;
+
+var storage = null;
+
+// Current session
+var session = {
+	startTime: 0,
+	events: [], // Ring buffer of events, oldest at nextIndex once it is full
+	nextIndex: 0,
+	dropped: 0, // Events overwritten because the buffer was full
+	lastPoseTime: -Infinity,
+	state: null, // Last game state recorded
+};
+
+/**
+ * Initialize the recorder
+ */
+function init() {
+	try {
+		storage = global.persistentStorageSystem;
+	} catch (e) {
+		print("SessionRecorder: Persistent storage not available - " + e);
+	}
+
+	startSession();
+}
+
+/**
+ * Checks if sessions are being recorded
+ * @returns {boolean} True if DebugConfig.RECORD_SESSION is set
+ */
+function isRecording() {
+	return Constants.DebugConfig.RECORD_SESSION === true;
+}
+
+/**
+ * Starts a new session, forgetting the events of the current one (the saved session is kept)
+ */
+function startSession() {
+	session.startTime = getTime();
+	session.events = [];
+	session.nextIndex = 0;
+	session.dropped = 0;
+	session.lastPoseTime = -Infinity;
+	session.state = null;
+}
+
+/**
+ * Adds an event to the ring buffer (internal helper)
+ * @param {string} type - Event type ("pose", "trigger", "state" or "path")
+ * @param {Object} data - Event fields
+ */
+function addEvent(type, data) {
+	var event = { t: round(getTime() - session.startTime, 3), type: type };
+	for (var key in data) {
+		event[key] = data[key];
+	}
+
+	var capacity = Math.max(1, Constants.DebugConfig.RECORD_MAX_EVENTS);
+	if (session.events.length < capacity) {
+		session.events.push(event);
+		return;
+	}
+
+	session.events[session.nextIndex] = event;
+	session.nextIndex = (session.nextIndex + 1) % capacity;
+	session.dropped++;
+}
+
+/**
+ * Records the camera pose, at most RECORD_SAMPLE_RATE times a second
+ * Nothing is recorded while the game is idle (menus)
+ * @param {vec3} position - Camera world position
+ * @param {quat} rotation - Camera world rotation
+ * @param {vec3} footPosition - Estimated foot position (optional)
+ */
+function recordPose(position, rotation, footPosition) {
+	if (!isRecording() || session.state === null || session.state === Constants.GameState.IDLE) return;
+
+	var now = getTime();
+	if (now - session.lastPoseTime < 1 / Constants.DebugConfig.RECORD_SAMPLE_RATE) return;
+	session.lastPoseTime = now;
+
+	addEvent("pose", {
+		p: [round(position.x, 1), round(position.y, 1), round(position.z, 1)],
+		r: [round(rotation.x, 4), round(rotation.y, 4), round(rotation.z, 4), round(rotation.w, 4)],
+		f: footPosition ? [round(footPosition.x, 1), round(footPosition.z, 1)] : null,
+	});
+}
+
+/**
+ * Records a tile trigger the camera collider entered
+ * @param {number} gridX - Grid X coordinate
+ * @param {number} gridZ - Grid Z coordinate
+ */
+function recordTrigger(gridX, gridZ) {
+	if (!isRecording()) return;
+
+	addEvent("trigger", { x: gridX, z: gridZ });
+}
+
+/**
+ * Records a game state change
+ * The session is saved when a level ends or the game goes back to idle
+ * @param {string} state - State entered (Constants.GameState)
+ * @param {string} previous - State left
+ * @param {number} level - Current level
+ */
+function recordState(state, previous, level) {
+	if (!isRecording()) return;
+
+	session.state = state;
+	addEvent("state", { state: state, previous: previous, level: level });
+
+	if (state === Constants.GameState.COMPLETED || state === Constants.GameState.FAILED || state === Constants.GameState.IDLE) {
+		saveSession();
+	}
+}
+
+/**
+ * Records the path of the level being played, with the grid placement to map tiles to world positions
+ * @param {Object} info - { level, seed, path, walkPath, grid (GridManager.getGridConfig()), gridParent (SceneObject) }
+ */
+function recordPath(info) {
+	if (!isRecording()) return;
+
+	var grid = info.grid || {};
+	var data = {
+		level: info.level,
+		seed: info.seed,
+		path: serializePath(info.path),
+		walkPath: serializePath(info.walkPath),
+		rows: grid.rows,
+		columns: grid.columns,
+		tileSize: grid.tileSize,
+		tileGap: grid.tileGap,
+		topology: grid.topology,
+		gridPosition: null,
+		gridRotation: null,
+	};
+
+	if (info.gridParent) {
+		var transform = info.gridParent.getTransform();
+		var position = transform.getWorldPosition();
+		var rotation = transform.getWorldRotation();
+		data.gridPosition = [round(position.x, 1), round(position.y, 1), round(position.z, 1)];
+		data.gridRotation = [round(rotation.x, 4), round(rotation.y, 4), round(rotation.z, 4), round(rotation.w, 4)];
+	}
+
+	addEvent("path", data);
+}
+
+/**
+ * Gets the events of the current session, oldest first
+ * @returns {Array} Events { t, type, ... }
+ */
+function getEvents() {
+	if (session.dropped === 0) return session.events.slice();
+	return session.events.slice(session.nextIndex).concat(session.events.slice(0, session.nextIndex));
+}
+
+/**
+ * Serializes the current session to JSON
+ * @param {number} maxLength - Optional longest JSON to return; the oldest events are left out
+ *   (and counted as dropped) until it fits
+ * @returns {string} JSON { version, sampleRate, dropped, events }, or null if not even a session without events fits
+ */
+function serializeSession(maxLength) {
+	var fitted = fitSession(maxLength);
+	return fitted ? fitted.json : null;
+}
+
+/**
+ * Builds the session JSON, leaving out the oldest events until it fits (internal helper)
+ * @param {number} maxLength - Longest JSON allowed (optional)
+ * @returns {Object} { json, events: events kept }, or null if not even a session without events fits
+ */
+function fitSession(maxLength) {
+	var events = getEvents();
+	var dropped = session.dropped;
+	var json = toSessionJson(events, dropped);
+
+	while (maxLength !== undefined && json.length > maxLength && events.length > 0) {
+		// Leave out the oldest share of events the JSON is over by (at least one)
+		var cut = Math.max(1, Math.ceil((events.length * (json.length - maxLength)) / json.length));
+		events = events.slice(cut);
+		dropped += cut;
+		json = toSessionJson(events, dropped);
+	}
+
+	if (maxLength !== undefined && json.length > maxLength) return null;
+	return { json: json, events: events.length };
+}
+
+/**
+ * Builds the session JSON (internal helper)
+ * @param {Array} events - Events to include, oldest first
+ * @param {number} dropped - Events left out
+ * @returns {string} JSON { version, sampleRate, dropped, events }
+ */
+function toSessionJson(events, dropped) {
+	return JSON.stringify({
+		version: SESSION_VERSION,
+		sampleRate: Constants.DebugConfig.RECORD_SAMPLE_RATE,
+		dropped: dropped,
+		events: events,
+	});
+}
+
+/**
+ * Saves the current session to persistent storage, replacing the saved one
+ * The oldest events are left out when the session doesn't fit its share of the free space.
+ * If the write fails anyway, it is tried once more with half the room; when that fails
+ * too, the saved session is removed so a stale one can't be mistaken for this one.
+ * @returns {boolean} True if saved
+ */
+function saveSession() {
+	if (!storage) return false;
+
+	var store = storage.store;
+	var room = 0;
+	try {
+		room = getSessionRoom(store);
+	} catch (e) {
+		print("SessionRecorder: ERROR - Can't read the storage size - " + e);
+		return false;
+	}
+
+	for (var attempt = 0; attempt < 2; attempt++) {
+		var fitted = fitSession(room);
+		if (!fitted) {
+			print("SessionRecorder: ERROR - Not enough storage left to save the session (" + room + " characters free)");
+			break;
+		}
+
+		try {
+			store.putString(SESSION_KEY, fitted.json);
+			storage.store = store;
+
+			if (fitted.events < session.events.length) {
+				print("SessionRecorder: WARNING - Storage only fits " + fitted.events + " of " + session.events.length + " events, the oldest were left out");
+			}
+			return true;
+		} catch (e) {
+			print("SessionRecorder: WARNING - Save failed - " + e);
+			room = Math.floor(room / 2);
+		}
+	}
+
+	try {
+		if (store.has(SESSION_KEY)) {
+			store.remove(SESSION_KEY);
+			storage.store = store;
+		}
+	} catch (e) {
+		print("SessionRecorder: ERROR - Can't remove the old session - " + e);
+	}
+	return false;
+}
+
+/**
+ * Gets how long the saved session JSON may be (internal helper)
+ * The space the current saved session takes counts as free, since saving replaces it.
+ * Session JSON is plain ASCII, so one character takes one byte.
+ * @param {GeneralDataStore} store - Persistent storage store
+ * @returns {number} Longest JSON that fits, in characters
+ */
+function getSessionRoom(store) {
+	var current = store.has(SESSION_KEY) ? SESSION_KEY.length + store.getString(SESSION_KEY).length : 0;
+	var free = store.getSizeLimit() - store.getSizeUsed() + current;
+	return Math.max(0, Math.floor(free * STORAGE_SHARE) - SESSION_KEY.length);
+}
+
+/**
+ * Gets the saved session from persistent storage, e.g. to export it after a bug report
+ * @returns {string} Session JSON, or null if none is saved
+ */
+function getSavedSession() {
+	if (!storage) return null;
+
+	try {
+		var store = storage.store;
+		return store.has(SESSION_KEY) ? store.getString(SESSION_KEY) : null;
+	} catch (e) {
+		print("SessionRecorder: Load failed - " + e);
+		return null;
+	}
+}
+
+/**
+ * Prints the saved session to the logs in chunks, so it can be copied out of Lens Studio
+ */
+function printSavedSession() {
+	var json = getSavedSession();
+	if (!json) {
+		print("SessionRecorder: No saved session");
+		return;
+	}
+
+	var chunks = Math.ceil(json.length / PRINT_CHUNK_SIZE);
+	print("SessionRecorder: Saved session (" + json.length + " characters, " + chunks + " parts)");
+	for (var i = 0; i < chunks; i++) {
+		print("SessionRecorder: [" + (i + 1) + "/" + chunks + "] " + json.substr(i * PRINT_CHUNK_SIZE, PRINT_CHUNK_SIZE));
+	}
+}
+
+/**
+ * Converts a path to [[x, z], ...] (internal helper)
+ * @param {Array} path - Array of grid positions
+ * @returns {Array} Compact path, or null if there is none
+ */
+function serializePath(path) {
+	if (!path) return null;
+
+	var result = [];
+	for (var i = 0; i < path.length; i++) {
+		result.push([path[i].x, path[i].z]);
+	}
+	return result;
+}
+
+/**
+ * Rounds a number to a few decimals to keep the saved session small (internal helper)
+ * @param {number} value - Number to round
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number} Rounded number
+ */
+function round(value, decimals) {
+	var factor = Math.pow(10, decimals);
+	return Math.round(value * factor) / factor;
+}
+
+// Initialize on start
+script.createEvent("OnStartEvent").bind(init);
+
+// Export API
+global.PathFinder = global.PathFinder || {};
+global.PathFinder.Recorder = {
+	isRecording: isRecording,
+	startSession: startSession,
+	recordPose: recordPose,
+	recordTrigger: recordTrigger,
+	recordState: recordState,
+	recordPath: recordPath,
+	getEvents: getEvents,
+	serializeSession: serializeSession,
+	saveSession: saveSession,
+	getSavedSession: getSavedSession,
+	printSavedSession: printSavedSession,
+};